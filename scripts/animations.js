@@ -0,0 +1,254 @@
+/**
+ * PartyAnimations — анимации сбора и роспуска группы
+ *
+ * Стиль выбирается настройкой мира `animationStyle`, длительности — настройками
+ * `gatherDuration`, `disperseDuration` и `staggerDelay`. Клиентская настройка
+ * `enableAnimations` отключает анимации совсем (токены переставляются мгновенно).
+ *
+ * Стиль — объект { label, animate(moves, context) }:
+ * - moves: [{ tokenDoc, target: {x, y} (центр токена), order }] — order = порядок марша;
+ * - context: { phase: 'gather' | 'disperse', duration, easing, staggerDelay }.
+ * animate должен вернуть Promise, который завершается, когда токены на местах.
+ * Другие модули добавляют стили через api.registerAnimationStyle(id, style).
+ *
+ * Requires Foundry VTT v13+
+ */
+
+import { MODULE_ID } from './main.js';
+import { TokenPlacer } from './token-placer.js';
+
+export class PartyAnimations {
+
+    // Обход стен: мс на клетку пути (скорость не зависит от длительности)
+    static PATH_STEP_DURATION = 150;
+
+    // Easing по фазам (длительность — из настроек)
+    static EASING = {
+        gather: 'easeInOutCubic',
+        disperse: 'easeOutCubic'
+    };
+
+    // Встроенные стили (при роспуске порядок марша: первым выходит ведущий)
+    static BUILTIN_STYLES = {
+        // Скольжение: все одновременно, в обход стен
+        slide: {
+            label: 'GROUP_POVUXA.Animations.Slide',
+            animate: (moves, { duration, easing }) => Promise.all(
+                moves.map(({ tokenDoc, target }) => PartyAnimations.moveAlongPath(tokenDoc, target, { duration, easing }))
+            )
+        },
+        // Растворение: исчезают и появляются на местах (стены не важны)
+        fade: {
+            label: 'GROUP_POVUXA.Animations.Fade',
+            animate: (moves, { duration }) => Promise.all(
+                moves.map(({ tokenDoc, target }) => PartyAnimations.fadeTo(tokenDoc, target, { duration }))
+            )
+        },
+        // По очереди в порядке марша
+        stagger: {
+            label: 'GROUP_POVUXA.Animations.Stagger',
+            animate: (moves, { duration, easing, staggerDelay }) => Promise.all(
+                [...moves].sort((a, b) => a.order - b.order).map(async ({ tokenDoc, target }, i) => {
+                    await PartyAnimations._wait(i * staggerDelay);
+                    await PartyAnimations.moveAlongPath(tokenDoc, target, { duration, easing });
+                })
+            )
+        },
+        // Мгновенно
+        instant: {
+            label: 'GROUP_POVUXA.Animations.Instant',
+            animate: (moves) => PartyAnimations.placeInstantly(moves)
+        }
+    };
+
+    // id -> { id, label, animate }
+    // (встроенные — без register: при импорте из main.js MODULE_ID ещё не инициализирован)
+    static _styles = new Map(
+        Object.entries(PartyAnimations.BUILTIN_STYLES).map(([id, style]) => [id, { id, ...style }])
+    );
+
+    /**
+     * Зарегистрировать стиль анимации
+     * @param {string} id - Уникальный ID стиля
+     * @param {Object} style
+     * @param {string} style.label - Название (ключ локализации или текст)
+     * @param {Function} style.animate - async (moves, context) => void
+     */
+    static register(id, { label, animate }) {
+        if (typeof animate !== 'function') {
+            throw new Error(`${MODULE_ID} | Animation style '${id}' has no animate function`);
+        }
+        this._styles.set(id, { id, label: label ?? id, animate });
+
+        // Стили других модулей появляются в выборе настройки
+        const setting = game.settings.settings.get(`${MODULE_ID}.animationStyle`);
+        if (setting?.choices) setting.choices[id] = game.i18n.localize(label ?? id);
+    }
+
+    /**
+     * Все зарегистрированные стили
+     * @returns {Array<{id: string, label: string, animate: Function}>}
+     */
+    static getStyles() {
+        return [...this._styles.values()];
+    }
+
+    /**
+     * Включены ли анимации
+     * @param {Object} [options] - options.animate переопределяет настройку клиента
+     * @returns {boolean}
+     */
+    static isEnabled(options = {}) {
+        return options.animate ?? game.settings.get(MODULE_ID, 'enableAnimations');
+    }
+
+    /**
+     * Проиграть анимацию фазы выбранным стилем
+     * @param {'gather'|'disperse'} phase
+     * @param {Array<{tokenDoc: TokenDocument, target: {x: number, y: number}, order: number}>} moves
+     * @param {Object} [options] - options.animate (см. isEnabled)
+     */
+    static async play(phase, moves, options = {}) {
+        if (moves.length === 0) return;
+
+        const instant = this._styles.get('instant');
+        const styleId = game.settings.get(MODULE_ID, 'animationStyle');
+        const style = this.isEnabled(options)
+            ? (this._styles.get(styleId) ?? this._styles.get('slide'))
+            : instant;
+
+        const context = {
+            phase,
+            duration: game.settings.get(MODULE_ID, phase === 'gather' ? 'gatherDuration' : 'disperseDuration'),
+            easing: this.EASING[phase],
+            staggerDelay: game.settings.get(MODULE_ID, 'staggerDelay')
+        };
+
+        try {
+            await style.animate(moves, context);
+        } catch (e) {
+            // Чужой стиль упал — токены всё равно должны встать на места
+            console.warn(`${MODULE_ID} | Animation style '${style.id}' failed, placing tokens instantly:`, e);
+            await instant.animate(moves, context);
+        }
+    }
+
+    // ==========================================
+    // ДВИЖЕНИЕ ОДНОГО ТОКЕНА
+    // ==========================================
+
+    /**
+     * Провести токен к точке в обход стен (TokenPlacer.findPath).
+     * Прямой путь — одно движение с заданной длительностью, обход — по отрезкам
+     * с постоянной скоростью; пути нет — токен исчезает и появляется на месте.
+     *
+     * @param {TokenDocument} tokenDoc
+     * @param {{x: number, y: number}} target - Куда встанет центр токена
+     * @param {Object} animation
+     * @param {number} animation.duration
+     * @param {string} animation.easing
+     */
+    static async moveAlongPath(tokenDoc, target, { duration, easing }) {
+        const from = this._getCenter(tokenDoc);
+        const { w, h } = this._getSize(tokenDoc);
+        const path = TokenPlacer.findPath(from, target, { width: Math.max(w, h) });
+
+        if (!path) {
+            await this.fadeTo(tokenDoc, target, { duration });
+            return;
+        }
+
+        if (path.length === 2) {
+            await tokenDoc.update(this._toTopLeft(tokenDoc, target), { animate: true, animation: { duration, easing } });
+            return;
+        }
+
+        // Каждый отрезок ждёт окончания предыдущего, иначе анимации срежут угол
+        for (let i = 1; i < path.length; i++) {
+            const length = Math.hypot(path[i].x - path[i - 1].x, path[i].y - path[i - 1].y);
+            const segmentDuration = Math.max(100, (length / canvas.grid.size) * this.PATH_STEP_DURATION);
+            await tokenDoc.update(this._toTopLeft(tokenDoc, path[i]), {
+                animate: true,
+                animation: { duration: segmentDuration, easing: 'linear' }
+            });
+            await this._wait(segmentDuration);
+        }
+    }
+
+    /**
+     * Исчезнуть, переместиться и появиться снова
+     * @param {TokenDocument} tokenDoc
+     * @param {{x: number, y: number}} target - Куда встанет центр токена
+     * @param {Object} animation
+     * @param {number} animation.duration - Общая длительность (половина — исчезновение)
+     */
+    static async fadeTo(tokenDoc, target, { duration }) {
+        const alpha = tokenDoc.alpha;
+        const half = duration / 2;
+
+        await tokenDoc.update({ alpha: 0 }, { animation: { duration: half } });
+        await this._wait(half);
+        await tokenDoc.update(this._toTopLeft(tokenDoc, target), { animate: false });
+        await tokenDoc.update({ alpha }, { animation: { duration: half } });
+        await this._wait(half);
+    }
+
+    /**
+     * Переставить токены без анимации (одним пакетом)
+     * @param {Array<{tokenDoc: TokenDocument, target: {x: number, y: number}}>} moves
+     */
+    static async placeInstantly(moves) {
+        const updates = moves.map(({ tokenDoc, target }) => ({ _id: tokenDoc.id, ...this._toTopLeft(tokenDoc, target) }));
+        await canvas.scene.updateEmbeddedDocuments('Token', updates, { animate: false });
+    }
+
+    // ==========================================
+    // ВСПОМОГАТЕЛЬНЫЕ
+    // ==========================================
+
+    /**
+     * Размер токена в пикселях
+     * @param {TokenDocument} tokenDoc
+     * @returns {{w: number, h: number}}
+     * @private
+     */
+    static _getSize(tokenDoc) {
+        return {
+            w: canvas.grid.sizeX * tokenDoc.width,
+            h: canvas.grid.sizeY * tokenDoc.height
+        };
+    }
+
+    /**
+     * Центр токена
+     * @param {TokenDocument} tokenDoc
+     * @returns {{x: number, y: number}}
+     * @private
+     */
+    static _getCenter(tokenDoc) {
+        const { w, h } = this._getSize(tokenDoc);
+        return { x: tokenDoc.x + w / 2, y: tokenDoc.y + h / 2 };
+    }
+
+    /**
+     * Top-left позиция токена, стоящего центром в точке
+     * @param {TokenDocument} tokenDoc
+     * @param {{x: number, y: number}} center
+     * @returns {{x: number, y: number}}
+     * @private
+     */
+    static _toTopLeft(tokenDoc, center) {
+        const { w, h } = this._getSize(tokenDoc);
+        return { x: center.x - w / 2, y: center.y - h / 2 };
+    }
+
+    /**
+     * Пауза
+     * @param {number} ms
+     * @returns {Promise<void>}
+     * @private
+     */
+    static _wait(ms) {
+        return new Promise(r => setTimeout(r, ms));
+    }
+}
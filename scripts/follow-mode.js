@@ -0,0 +1,264 @@
+/**
+ * FollowMode — режим «за ведущим» без сбора группы
+ *
+ * Токены участников остаются на сцене. Когда ведущий двигается, остальные
+ * встают за ним: на свои места в сетке расстановки (стиль formation) или
+ * цепочкой по его следу (стиль marching — «Змейка» по флагу trail).
+ * Места считает PartyManager.planDisperse — те же роли, gridPos, стены и
+ * занятость клеток, что и при роспуске группы.
+ *
+ * Данные хранятся во флаге ведущего `follow`: { style, members }, где
+ * members — [{ tokenId, actorId, name, order, role, gridPos }], ведущий первым.
+ * Участников передвигает активный ГМ (хук updateToken).
+ *
+ * Requires Foundry VTT v13+
+ */
+
+import { MODULE_ID } from './main.js';
+import { GridGeometry } from './grid-geometry.js';
+import { PartyAnimations } from './animations.js';
+
+export class FollowMode {
+
+    static STYLES = ['formation', 'marching'];
+
+    // leaderId -> { again: boolean } — ведущий сдвинулся, пока участники ещё шли
+    static _running = new Map();
+
+    /**
+     * Включить режим «за ведущим»
+     * @param {Token[]} tokens - Токены участников, ведущий первым
+     * @param {Object} [options]
+     * @param {'formation'|'marching'} [options.style] - По умолчанию — настройка followStyle
+     * @param {Array<{tokenId: string, gridPos: {x: number, y: number}}>} [options.initialPositions] - Расстановка из панели
+     * @param {Object<string, string>} [options.roles] - tokenId -> роль (leader, scout, rearguard, member)
+     * @returns {Promise<Token|null>} - Ведущий
+     */
+    static async start(tokens, options = {}) {
+        const valid = (tokens ?? []).filter(t =>
+            !t.document.getFlag(MODULE_ID, 'isPartyToken') && !t.document.getFlag(MODULE_ID, 'parked')
+        );
+        if (valid.length < 2) {
+            ui.notifications.warn(game.i18n.localize('GROUP_POVUXA.Notifications.MinTwoTokens'));
+            return null;
+        }
+
+        const [leader] = valid;
+        if (!leader.document.isOwner) {
+            ui.notifications.warn(game.i18n.localize('GROUP_POVUXA.Notifications.FollowNoPermission'));
+            return null;
+        }
+
+        // Участник может идти только за одним ведущим
+        for (const other of this.getLeaders()) {
+            if (valid.some(t => t.id === other.id) || this.getMembers(other).some(m => valid.some(t => t.id === m.tokenId))) {
+                await this.stop(other);
+            }
+        }
+
+        const style = this.STYLES.includes(options.style) ? options.style : game.settings.get(MODULE_ID, 'followStyle');
+        const direction = game.groupPovuxa.manager.getMovementDirection(leader);
+        const leaderDraft = options.initialPositions?.find(p => p.tokenId === leader.id)?.gridPos;
+
+        const members = valid.map((token, index) => {
+            // Сетка панели (относительно ведущего) или текущая расстановка на сцене
+            const draft = options.initialPositions?.find(p => p.tokenId === token.id)?.gridPos;
+            const gridPos = index === 0
+                ? { x: 0, y: 0 }
+                : (draft && leaderDraft ? { x: draft.x - leaderDraft.x, y: draft.y - leaderDraft.y } : this._getGridPos(token, leader, direction));
+
+            return {
+                tokenId: token.id,
+                actorId: token.actor?.id ?? null,
+                name: token.name,
+                order: index,
+                role: index === 0 ? 'leader' : (options.roles?.[token.id] ?? 'member'),
+                gridPos
+            };
+        });
+
+        await leader.document.setFlag(MODULE_ID, 'follow', { style, members });
+        ui.notifications.info(game.i18n.format('GROUP_POVUXA.Notifications.FollowStarted', {
+            leader: leader.name,
+            count: members.length - 1
+        }));
+        return leader;
+    }
+
+    /**
+     * Выключить режим «за ведущим»
+     * @param {Token} leader
+     */
+    static async stop(leader) {
+        if (!leader?.document.getFlag(MODULE_ID, 'follow')) return;
+        await leader.document.unsetFlag(MODULE_ID, 'follow');
+        this._running.delete(leader.id);
+        ui.notifications.info(game.i18n.format('GROUP_POVUXA.Notifications.FollowStopped', { leader: leader.name }));
+    }
+
+    /**
+     * Ведущие на текущей сцене
+     * @returns {Token[]}
+     */
+    static getLeaders() {
+        return canvas.tokens?.placeables.filter(t => t.document.getFlag(MODULE_ID, 'follow')) ?? [];
+    }
+
+    /**
+     * Участники, идущие за ведущим (включая его самого)
+     * @param {Token} leader
+     * @returns {Array} - Записи флага follow.members
+     */
+    static getMembers(leader) {
+        return leader?.document.getFlag(MODULE_ID, 'follow')?.members ?? [];
+    }
+
+    /**
+     * Ведущий, за которым идёт токен (или сам токен, если он ведущий)
+     * @param {Token} token
+     * @returns {Token|null}
+     */
+    static findLeader(token) {
+        if (!token) return null;
+        if (token.document.getFlag(MODULE_ID, 'follow')) return token;
+        return this.getLeaders().find(leader => this.getMembers(leader).some(m => m.tokenId === token.id)) ?? null;
+    }
+
+    // ==========================================
+    // ДВИЖЕНИЕ
+    // ==========================================
+
+    /**
+     * Ведущий сдвинулся (хук updateToken, только активный ГМ)
+     * @param {TokenDocument} tokenDoc
+     * @param {Object} changes
+     */
+    static onUpdateToken(tokenDoc, changes) {
+        if (!('x' in changes) && !('y' in changes)) return;
+        if (!tokenDoc.getFlag(MODULE_ID, 'follow') || !tokenDoc.object) return;
+
+        // Пока участники идут, новые шаги ведущего сливаются в один
+        const state = this._running.get(tokenDoc.id);
+        if (state) {
+            state.again = true;
+            return;
+        }
+        this._follow(tokenDoc);
+    }
+
+    /**
+     * Провести участников за ведущим (повторяет, если ведущий ушёл дальше)
+     * @param {TokenDocument} leaderDoc
+     * @private
+     */
+    static async _follow(leaderDoc) {
+        const state = { again: true };
+        this._running.set(leaderDoc.id, state);
+
+        try {
+            while (state.again && this._running.get(leaderDoc.id) === state) {
+                state.again = false;
+                await this._moveMembers(leaderDoc);
+            }
+        } catch (e) {
+            console.warn(`${MODULE_ID} | Follow mode: members could not follow ${leaderDoc.name}`, e);
+        } finally {
+            if (this._running.get(leaderDoc.id) === state) this._running.delete(leaderDoc.id);
+        }
+    }
+
+    /**
+     * Рассчитать места за ведущим и передвинуть участников
+     * @param {TokenDocument} leaderDoc
+     * @private
+     */
+    static async _moveMembers(leaderDoc) {
+        const leader = leaderDoc.object;
+        const follow = leaderDoc.getFlag(MODULE_ID, 'follow');
+        if (!leader || !follow) return;
+
+        // Участники, которых удалили со сцены, из строя выпадают
+        const members = follow.members
+            .map(member => ({ member, doc: canvas.scene.tokens.get(member.tokenId) }))
+            .filter(({ doc }) => doc);
+        if (members.length < 2) {
+            await this.stop(leader);
+            return;
+        }
+
+        // Стиль marching — «Змейка» по следу, formation — клетки сетки расстановки.
+        // Направление задаём явно, чтобы подбор поворота не развернул строй вперёд ведущего
+        const marching = follow.style === 'marching';
+        const manager = game.groupPovuxa.manager;
+        const plan = manager.planDisperse(leader, {
+            direction: manager.getMovementDirection(leader),
+            members: members.map(({ member, doc }) => ({
+                ...member,
+                width: doc.width,
+                height: doc.height,
+                gridPos: marching ? null : member.gridPos
+            })),
+            formation: marching ? 'snake' : undefined,
+            corridor: !marching
+        });
+
+        const moves = [];
+        members.forEach(({ doc }, i) => {
+            const position = plan.positions[i];
+            if (doc.id === leaderDoc.id || !position) return;
+            if (Math.hypot(position.x - doc.x, position.y - doc.y) < 1) return;
+
+            moves.push({
+                tokenDoc: doc,
+                target: {
+                    x: position.x + (canvas.grid.sizeX * doc.width) / 2,
+                    y: position.y + (canvas.grid.sizeY * doc.height) / 2
+                }
+            });
+        });
+        if (moves.length === 0) return;
+
+        // Участники идут к местам в обход стен с постоянной скоростью
+        if (!PartyAnimations.isEnabled()) {
+            await PartyAnimations.placeInstantly(moves);
+            return;
+        }
+        await Promise.all(moves.map(({ tokenDoc, target }) => {
+            const distance = Math.hypot(
+                target.x - (tokenDoc.x + (canvas.grid.sizeX * tokenDoc.width) / 2),
+                target.y - (tokenDoc.y + (canvas.grid.sizeY * tokenDoc.height) / 2)
+            );
+            const duration = Math.max(100, (distance / canvas.grid.size) * PartyAnimations.PATH_STEP_DURATION);
+            return PartyAnimations.moveAlongPath(tokenDoc, target, { duration, easing: 'linear' });
+        }));
+    }
+
+    // ==========================================
+    // ВСПОМОГАТЕЛЬНЫЕ
+    // ==========================================
+
+    /**
+     * Позиция токена в сетке расстановки относительно ведущего
+     * (поворот ведущего снимается: «вперёд» — туда, куда он смотрит)
+     * @param {Token} token
+     * @param {Token} leader
+     * @param {number} direction - Направление ведущего (0 = север)
+     * @returns {{x: number, y: number}}
+     * @private
+     */
+    static _getGridPos(token, leader, direction) {
+        if (GridGeometry.isHex()) {
+            const gridPos = GridGeometry.pointToGridPos(token.center, leader.center);
+            return GridGeometry.rotateHex(gridPos, -GridGeometry.getHexRotationSteps(direction));
+        }
+
+        const size = canvas.grid.size;
+        const dx = token.center.x - leader.center.x;
+        const dy = token.center.y - leader.center.y;
+        const rad = Math.toRadians(-direction);
+        return {
+            x: Math.round((dx * Math.cos(rad) - dy * Math.sin(rad)) / size) + 0,
+            y: Math.round((dx * Math.sin(rad) + dy * Math.cos(rad)) / size) + 0
+        };
+    }
+}
@@ -3,12 +3,32 @@
  * 
  * Определяет как токены располагаются относительно друг друга
  * при роспуске группы
+ *
+ * getPositions — смещения в пикселях для квадратной сетки,
+ * getHexPositions — осевые координаты гексов (см. GridGeometry), «вперёд» = (0, -1)
  */
 
 import { MODULE_ID } from './main.js';
+import { GridGeometry } from './grid-geometry.js';
+import { TokenPlacer } from './token-placer.js';
 
 export class FormationPresets {
 
+    // Оценка расстановки (applyBestFit): веса штрафов
+    static FIT_WEIGHTS = {
+        displacement: 1,    // за клетку смещения участника от точки шаблона
+        brokenLink: 2,      // за пару соседей по шаблону, оказавшихся порознь
+        missing: 5,         // за участника без места
+        rotation: 0.5,      // за шаг поворота от заданного направления
+        shift: 0.5          // за клетку сдвига центра
+    };
+
+    // Среднее смещение участника (в клетках), выше которого шаблон «не помещается»
+    static FIT_MAX_DISPLACEMENT = 0.5;
+
+    // Соседи по шаблону — точки не дальше полутора клеток (с диагональю)
+    static ADJACENCY_RANGE = 1.5;
+
     // Определения всех шаблонов
     static FORMATIONS = {
 
@@ -37,6 +57,14 @@ export class FormationPresets {
                 }
 
                 return FormationPresets._rotatePositions(positions, direction);
+            },
+            // Шеренга гексов поперёк направления «вперёд»
+            getHexPositions: (count) => {
+                const startOffset = -Math.floor(count / 2);
+                return Array.from({ length: count }, (_, i) => ({
+                    ...GridGeometry.getRankPos(startOffset + i, 0),
+                    order: i
+                }));
             }
         },
 
@@ -83,6 +111,17 @@ export class FormationPresets {
                 }
 
                 return FormationPresets._rotatePositions(positions, direction);
+            },
+            // Стороны клина идут по диагоналям гексов назад-влево и назад-вправо
+            getHexPositions: (count) => {
+                const positions = [{ x: 0, y: 0, order: 0 }];
+                for (let row = 1; positions.length < count; row++) {
+                    positions.push({ x: -row, y: row, order: positions.length });
+                    if (positions.length < count) {
+                        positions.push({ x: row, y: 0, order: positions.length });
+                    }
+                }
+                return positions;
             }
         },
 
@@ -123,6 +162,28 @@ export class FormationPresets {
                 }
 
                 return FormationPresets._rotatePositions(positions, direction);
+            },
+            // Центр + кольцо гексов: 6 мест на радиусе 1, 12 — на радиусе 2
+            getHexPositions: (count) => {
+                if (count < 1) return [];
+
+                const remaining = count - 1;
+                const ring = GridGeometry.getHexRing(remaining > 6 ? 2 : 1);
+                const positions = [{ x: 0, y: 0, order: 0 }];
+
+                // Равномерно по кольцу; не хватило кольца — остальные по спирали
+                const used = new Set(['0,0']);
+                for (let i = 0; i < Math.min(remaining, ring.length); i++) {
+                    const cell = ring[Math.floor(i * ring.length / Math.min(remaining, ring.length))];
+                    used.add(`${cell.x},${cell.y}`);
+                    positions.push({ ...cell, order: i + 1 });
+                }
+                for (const cell of GridGeometry.getHexSpiral(4)) {
+                    if (positions.length >= count) break;
+                    if (used.has(`${cell.x},${cell.y}`)) continue;
+                    positions.push({ ...cell, order: positions.length });
+                }
+                return positions;
             }
         },
 
@@ -158,6 +219,11 @@ export class FormationPresets {
                 }
 
                 return FormationPresets._rotatePositions(positions, direction);
+            },
+            // Плотный «сот»: кольцо за кольцом вокруг центра
+            getHexPositions: (count) => {
+                return GridGeometry.getHexSpiral(4).slice(0, count)
+                    .map((cell, i) => ({ ...cell, order: i }));
             }
         },
 
@@ -187,6 +253,10 @@ export class FormationPresets {
                 }
 
                 return FormationPresets._rotatePositions(positions, direction);
+            },
+            // Цепочка гексов строго назад
+            getHexPositions: (count) => {
+                return Array.from({ length: count }, (_, i) => ({ x: 0, y: i, order: i }));
             }
         }
     };
@@ -223,12 +293,15 @@ export class FormationPresets {
      * @returns {Object|null}
      */
     static get(formationId) {
+        // ID может прийти от игрока через сокет — только собственные ключи, не Object.prototype
+        if (typeof formationId !== 'string') return null;
+
         // 1. Стандартные
-        if (this.FORMATIONS[formationId]) return this.FORMATIONS[formationId];
+        if (Object.hasOwn(this.FORMATIONS, formationId)) return this.FORMATIONS[formationId];
 
         // 2. Пользовательские
         const customs = game.settings.get(MODULE_ID, 'customFormations') || {};
-        const custom = customs[formationId];
+        const custom = Object.hasOwn(customs, formationId) ? customs[formationId] : null;
 
         if (custom) {
             // Восстанавливаем функционал
@@ -365,23 +438,30 @@ export class FormationPresets {
                     // Если слотов не хватило - ищем ближайшую свободную клетку
                     // Спиральный поиск от (0,0)
                     let placed = false;
-                    // x, y от -2 до 2
                     // Простейший перебор по дистанции от центра
                     const spiral = [];
-                    for (let d = 0; d <= 4; d++) { // dist (max 4 approx)
-                        for (let x = -2; x <= 2; x++) {
-                            for (let y = -2; y <= 2; y++) {
-                                // Проверяем занятость
-                                const isOccupied = members.some(m => m.gridPos && m.gridPos.x === x && m.gridPos.y === y) ||
-                                    spiral.some(p => p.x === x && p.y === y); // (хотя мы только ищем)
-
-                                // Мы ищем для ТЕКУЩЕГО member, считая, что предыдущие уже имеют gridPos
-                                if (!isOccupied) {
-                                    // Но нам нужно найти БЛИЖАЙШУЮ к исходной цели, но у нас нет цели.
-                                    // Давайте просто заполнять пустые места сверху-вниз слева-направо или как угодно?
-                                    // Пользователь просил "не трогать" или "рядом".
-                                    // Если "не трогать" - у нас нет gridPos, и в UI он пропадет. Надо дать gridPos.
-                                    spiral.push({ x, y, dist: Math.abs(x) + Math.abs(y) });
+                    if (GridGeometry.isHex()) {
+                        // Гексы: кольца вокруг центра (x, y — осевые координаты)
+                        for (const cell of GridGeometry.getHexSpiral()) {
+                            spiral.push({ ...cell, dist: GridGeometry.getGridPosDistance({ x: 0, y: 0 }, cell) });
+                        }
+                    } else {
+                        // x, y от -2 до 2
+                        for (let d = 0; d <= 4; d++) { // dist (max 4 approx)
+                            for (let x = -2; x <= 2; x++) {
+                                for (let y = -2; y <= 2; y++) {
+                                    // Проверяем занятость
+                                    const isOccupied = members.some(m => m.gridPos && m.gridPos.x === x && m.gridPos.y === y) ||
+                                        spiral.some(p => p.x === x && p.y === y); // (хотя мы только ищем)
+
+                                    // Мы ищем для ТЕКУЩЕГО member, считая, что предыдущие уже имеют gridPos
+                                    if (!isOccupied) {
+                                        // Но нам нужно найти БЛИЖАЙШУЮ к исходной цели, но у нас нет цели.
+                                        // Давайте просто заполнять пустые места сверху-вниз слева-направо или как угодно?
+                                        // Пользователь просил "не трогать" или "рядом".
+                                        // Если "не трогать" - у нас нет gridPos, и в UI он пропадет. Надо дать gridPos.
+                                        spiral.push({ x, y, dist: Math.abs(x) + Math.abs(y) });
+                                    }
                                 }
                             }
                         }
@@ -407,6 +487,15 @@ export class FormationPresets {
             // === СТАНДАРТНЫЙ ШАБЛОН (ГЕОМЕТРИЯ) ===
             // Используем старую логику apply, но привязываем к members
 
+            // Гексы: шаблон сразу задан в осевых координатах
+            if (GridGeometry.isHex()) {
+                const hexPositions = formation.getHexPositions(members.length);
+                members.forEach((member, i) => {
+                    if (hexPositions[i]) member.gridPos = { x: hexPositions[i].x, y: hexPositions[i].y };
+                });
+                return members;
+            }
+
             // Генерируем "идеальные" позиции
             const idealPositions = formation.getPositions(members.length, gridSize, 0);
 
@@ -437,37 +526,221 @@ export class FormationPresets {
         }
     }
 
+    /**
+     * Шаблон из расстановки участников в сетке (gridPos по порядку)
+     *
+     * Сохранённая расстановка ставится так же, как готовые шаблоны:
+     * с подбором поворота и сдвига под стены (applyBestFit).
+     *
+     * @param {Array<{x: number, y: number}>} gridPositions - Позиции в сетке расстановки
+     * @returns {Object} - Шаблон в формате FORMATIONS
+     */
+    static fromGridPositions(gridPositions) {
+        return {
+            id: 'arrangement',
+            getPositions: (count, gridSize, direction) => FormationPresets._rotatePositions(
+                gridPositions.slice(0, count).map((p, order) => ({ dx: p.x * gridSize, dy: p.y * gridSize, order })),
+                direction
+            ),
+            getHexPositions: (count) => gridPositions.slice(0, count).map((p, order) => ({ x: p.x, y: p.y, order }))
+        };
+    }
+
     /**
      * Применить шаблон к найденным позициям
      * 
-     * @param {string} formationId - ID шаблона
-     * @param {Array} availablePositions - Доступные позиции от TokenPlacer
+     * Крупный участник (options.footprints) резервирует все свои клетки —
+     * соседи по шаблону уходят на ближайшие свободные позиции.
+     * Без сетки шаблон — непрерывная фигура: точка шаблона занимается как есть,
+     * если options.isFree её пропускает, иначе берётся ближайшая доступная позиция.
+     *
+     * @param {string|Object} formationId - ID шаблона или шаблон из fromGridPositions
+     * @param {Array} availablePositions - Доступные позиции от TokenPlacer (top-left одной клетки)
      * @param {number} direction - Угол направления (0 = север)
-     * @returns {Array} - Отсортированные позиции по шаблону
+     * @param {Object} [options]
+     * @param {Array<{width: number, height: number}>} [options.footprints] - Размеры участников по порядку шаблона
+     * @param {number} [options.spacing] - Без сетки: шаг упаковки (TokenPlacer.getPackingSpacing)
+     * @param {Function} [options.isFree] - (pos, footprint) => boolean, можно ли встать крупному
+     *   участнику или (без сетки) в точку шаблона
+     * @returns {Array} - Позиции по порядку шаблона (null — места не нашлось)
      */
-    static apply(formationId, availablePositions, direction = 0) {
-        const formation = this.FORMATIONS[formationId];
+    static apply(formationId, availablePositions, direction = 0, options = {}) {
+        const formation = this._resolve(formationId);
         if (!formation || availablePositions.length === 0) {
             return availablePositions;
         }
 
-        const gridSize = canvas.grid.size;
-        const count = availablePositions.length;
+        const count = options.footprints?.length ?? availablePositions.length;
+        const idealPositions = this._getIdealPositions(formation, count, direction, options.spacing);
+
+        // Центр (первая позиция)
+        return this._matchPositions(idealPositions, availablePositions, availablePositions[0], options);
+    }
+
+    /**
+     * Подобрать поворот и сдвиг шаблона, лучше всего сохраняющие его форму
+     *
+     * Жадное сопоставление apply в коридоре сминает клин в кучу, поэтому шаблон
+     * пробуется во всех направлениях сетки и со сдвигом центра на клетку в каждую
+     * сторону. Оценка (меньше — лучше): смещение участников от точек шаблона,
+     * разорванные соседства, участники без места и небольшой штраф за отход
+     * от заданного направления и центра.
+     *
+     * @param {string|Object} formationId - ID шаблона или шаблон из fromGridPositions
+     * @param {Array} availablePositions - Доступные позиции от TokenPlacer (top-left одной клетки)
+     * @param {number} direction - Желаемое направление (0 = север)
+     * @param {Object} [options] - Опции apply, а также:
+     * @param {boolean} [options.rotate=true] - Перебирать повороты (false — направление задано явно)
+     * @returns {{positions: Array, direction: number, score: Object|null, fits: boolean}}
+     *   score — { total, displacement, brokenLinks, missing, rotation, shift }, смещения в клетках;
+     *   fits — форма сохранена: все на местах, соседства целы, смещение в пределах FIT_MAX_DISPLACEMENT
+     */
+    static applyBestFit(formationId, availablePositions, direction = 0, options = {}) {
+        const formation = this._resolve(formationId);
+        if (!formation || availablePositions.length === 0) {
+            return { positions: this.apply(formationId, availablePositions, direction, options), direction, score: null, fits: true };
+        }
+
+        const grid = canvas.grid;
+        const unit = grid.isGridless ? (options.spacing ?? grid.size) : grid.size;
+        const count = options.footprints?.length ?? availablePositions.length;
+        const origin = availablePositions[0];
+        const weights = this.FIT_WEIGHTS;
+
+        // Повороты — по направлениям сетки, сдвиги — на соседние клетки
+        const step = grid.isHexagonal ? 60 : 45;
+        const turns = options.rotate === false ? 1 : 360 / step;
+        const shifts = [{ dx: 0, dy: 0 }, ...this._getAnchorShifts(unit)];
+
+        let best = null;
+        for (let turn = 0; turn < turns; turn++) {
+            const candidateDirection = Math.normalizeDegrees(direction + turn * step);
+            const rotation = Math.min(turn, turns - turn);
+            const ideal = this._getIdealPositions(formation, count, candidateDirection, options.spacing);
+
+            for (const shift of shifts) {
+                const anchor = { x: origin.x + shift.dx, y: origin.y + shift.dy };
+                const positions = this._matchPositions(ideal, availablePositions, anchor, options);
+                const shape = this._scoreShape(ideal, positions, anchor, unit);
+                const shiftCells = Math.hypot(shift.dx, shift.dy) / unit;
+
+                const total = shape.displacement * weights.displacement
+                    + shape.brokenLinks * weights.brokenLink
+                    + shape.missing * weights.missing
+                    + rotation * weights.rotation
+                    + shiftCells * weights.shift;
+
+                if (!best || total < best.score.total) {
+                    best = {
+                        positions,
+                        direction: candidateDirection,
+                        score: { total, ...shape, rotation: rotation * step, shift: shiftCells }
+                    };
+                }
+            }
+        }
+
+        const { missing, brokenLinks, displacement } = best.score;
+        best.fits = missing === 0 && brokenLinks === 0 && displacement <= count * this.FIT_MAX_DISPLACEMENT;
+        return best;
+    }
+
+    /**
+     * Ширина шаблона поперёк направления «вперёд» (в клетках)
+     * @param {string|Object} formationId - ID шаблона или шаблон из fromGridPositions
+     * @param {number} count - Число участников
+     * @param {number} direction - Угол направления (0 = север)
+     * @param {number} [spacing] - Без сетки: шаг упаковки
+     * @returns {number} - 0 для неизвестного шаблона
+     */
+    static getWidth(formationId, count, direction = 0, spacing) {
+        const formation = this._resolve(formationId);
+        if (!formation || count === 0) return 0;
+
+        const unit = canvas.grid.isGridless ? (spacing ?? canvas.grid.size) : canvas.grid.size;
+        const rad = Math.toRadians(direction);
+        const lateral = this._getIdealPositions(formation, count, direction, spacing)
+            .map(p => p.dx * Math.cos(rad) + p.dy * Math.sin(rad));
+
+        return Math.round((Math.max(...lateral) - Math.min(...lateral)) / unit) + 1;
+    }
+
+    /**
+     * Шаблон по ID (только стандартные) или уже готовый шаблон
+     * @param {string|Object} formationId
+     * @returns {Object|undefined}
+     * @private
+     */
+    static _resolve(formationId) {
+        return typeof formationId === 'string' ? this.FORMATIONS[formationId] : formationId;
+    }
+
+    /**
+     * Точки шаблона относительно центра (в пикселях, с поворотом)
+     * @param {Object} formation - Шаблон из FORMATIONS
+     * @param {number} count - Число участников
+     * @param {number} direction - Угол направления (0 = север)
+     * @param {number} [spacing] - Без сетки: шаг упаковки
+     * @returns {Array<{dx: number, dy: number, order: number}>}
+     * @private
+     */
+    static _getIdealPositions(formation, count, direction, spacing) {
+        const gridless = canvas.grid.isGridless;
+        const gridSize = gridless ? (spacing ?? canvas.grid.size) : canvas.grid.size;
 
         // Получаем идеальные относительные позиции для шаблона
-        const idealPositions = formation.getPositions(count, gridSize, direction);
+        // (гексы: осевые координаты -> пиксели с поворотом шагами по 60°)
+        let idealPositions = GridGeometry.isHex()
+            ? formation.getHexPositions(count).map(p => ({ ...GridGeometry.getSlotOffset(p, direction), order: p.order }))
+            : formation.getPositions(count, gridSize, direction);
+        if (gridless) idealPositions = this._spreadPositions(idealPositions, gridSize);
 
-        // Центр (первая позиция)
-        const center = availablePositions[0];
+        return idealPositions.slice(0, count);
+    }
+
+    /**
+     * Сопоставить точки шаблона доступным позициям (см. apply)
+     * @param {Array} idealPositions - Результат _getIdealPositions
+     * @param {Array} availablePositions - Доступные позиции (top-left)
+     * @param {{x: number, y: number}} center - Куда встаёт центр шаблона
+     * @param {Object} options - Опции apply
+     * @returns {Array} - Позиции по порядку шаблона (null — места не нашлось)
+     * @private
+     */
+    static _matchPositions(idealPositions, availablePositions, center, options) {
+        const gridless = canvas.grid.isGridless;
+        const count = options.footprints?.length ?? availablePositions.length;
+        const footprintAt = (k) => options.footprints?.[k] ?? { width: 1, height: 1 };
 
         // Для каждой идеальной позиции находим ближайшую доступную
-        const result = [];
+        const result = new Array(count).fill(null);
         const usedPositions = new Set();
+        const reserved = [];
+
+        // Можно ли поставить k-го участника: его клетки не заняты соседями по шаблону.
+        // Одна клетка на сетке уже проверена TokenPlacer, остальное проверяет вызывающий
+        const fits = (pos, k) => {
+            const footprint = footprintAt(k);
+            if (reserved.some(r => TokenPlacer.footprintsOverlap(r, { ...pos, ...footprint }))) return false;
+            const isSingleCell = footprint.width === 1 && footprint.height === 1;
+            return (isSingleCell && !gridless) || (options.isFree?.(pos, footprint) ?? true);
+        };
+        const take = (pos, k) => {
+            result[k] = pos;
+            reserved.push({ x: pos.x, y: pos.y, ...footprintAt(k) });
+        };
 
-        for (const ideal of idealPositions) {
+        idealPositions.forEach((ideal, k) => {
             const targetX = center.x + ideal.dx;
             const targetY = center.y + ideal.dy;
 
+            // Непрерывная фигура: встаём ровно в точку шаблона, если там свободно
+            const target = { x: targetX, y: targetY };
+            if (gridless && options.isFree && fits(target, k)) {
+                take(target, k);
+                return;
+            }
+
             // Ищем ближайшую свободную позицию к идеальной
             let bestMatch = null;
             let bestDistance = Infinity;
@@ -478,28 +751,102 @@ export class FormationPresets {
                 const pos = availablePositions[i];
                 const distance = Math.hypot(pos.x - targetX, pos.y - targetY);
 
-                if (distance < bestDistance) {
+                if (distance < bestDistance && fits(pos, k)) {
                     bestDistance = distance;
                     bestMatch = i;
                 }
             }
 
             if (bestMatch !== null) {
-                result.push(availablePositions[bestMatch]);
+                take(availablePositions[bestMatch], k);
                 usedPositions.add(bestMatch);
             }
-        }
+        });
 
         // Добавляем оставшиеся позиции (если шаблон не покрыл все)
-        for (let i = 0; i < availablePositions.length; i++) {
-            if (!usedPositions.has(i)) {
-                result.push(availablePositions[i]);
-            }
+        for (let k = 0; k < count; k++) {
+            if (result[k]) continue;
+            const i = availablePositions.findIndex((pos, idx) => !usedPositions.has(idx) && fits(pos, k));
+            if (i === -1) continue;
+            take(availablePositions[i], k);
+            usedPositions.add(i);
         }
 
         return result;
     }
 
+    /**
+     * Насколько расстановка искажает фигуру шаблона
+     * @param {Array} idealPositions - Точки шаблона относительно центра
+     * @param {Array} positions - Результат _matchPositions
+     * @param {{x: number, y: number}} center - Центр шаблона
+     * @param {number} unit - Размер клетки (без сетки — шаг упаковки)
+     * @returns {{displacement: number, brokenLinks: number, missing: number}}
+     *   displacement — суммарное смещение в клетках, brokenLinks — соседи по шаблону, оказавшиеся порознь
+     * @private
+     */
+    static _scoreShape(idealPositions, positions, center, unit) {
+        const targets = idealPositions.map(p => ({ x: center.x + p.dx, y: center.y + p.dy }));
+        const neighbourDistance = unit * this.ADJACENCY_RANGE;
+        const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+
+        let displacement = 0;
+        let missing = 0;
+        positions.forEach((pos, k) => {
+            if (pos) displacement += distance(pos, targets[k]) / unit;
+            else missing++;
+        });
+
+        let brokenLinks = 0;
+        for (let i = 0; i < targets.length; i++) {
+            for (let j = i + 1; j < targets.length; j++) {
+                if (!positions[i] || !positions[j]) continue;
+                if (distance(targets[i], targets[j]) > neighbourDistance) continue;
+                if (distance(positions[i], positions[j]) > neighbourDistance) brokenLinks++;
+            }
+        }
+
+        return { displacement, brokenLinks, missing };
+    }
+
+    /**
+     * Сдвиги центра шаблона на соседние клетки (в пикселях)
+     * @param {number} unit - Размер клетки (без сетки — шаг упаковки)
+     * @returns {Array<{dx: number, dy: number}>}
+     * @private
+     */
+    static _getAnchorShifts(unit) {
+        if (canvas.grid.isGridless) {
+            return TokenPlacer.LATTICE_ANGLES.map(a => ({ dx: Math.cos(a) * unit, dy: Math.sin(a) * unit }));
+        }
+        if (GridGeometry.isHex()) {
+            return GridGeometry.HEX_DIRECTIONS.map(d => GridGeometry.getSlotOffset(d));
+        }
+        return TokenPlacer.DIRECTIONS.map(d => ({ dx: d.dx * unit, dy: d.dy * unit }));
+    }
+
+    /**
+     * Растянуть фигуру шаблона, чтобы точки не стояли ближе шага упаковки
+     * (без сетки круг из многих участников иначе сливается в кучу)
+     *
+     * @param {Array} positions - Относительные позиции {dx, dy, order}
+     * @param {number} spacing - Минимальное расстояние между точками
+     * @returns {Array}
+     */
+    static _spreadPositions(positions, spacing) {
+        let closest = Infinity;
+        for (let i = 0; i < positions.length; i++) {
+            for (let j = i + 1; j < positions.length; j++) {
+                const distance = Math.hypot(positions[i].dx - positions[j].dx, positions[i].dy - positions[j].dy);
+                if (distance > 0) closest = Math.min(closest, distance);
+            }
+        }
+        if (closest >= spacing || closest === Infinity) return positions;
+
+        const scale = spacing / closest;
+        return positions.map(pos => ({ ...pos, dx: pos.dx * scale, dy: pos.dy * scale }));
+    }
+
     /**
      * Повернуть позиции на заданный угол
      * 
@@ -0,0 +1,268 @@
+/**
+ * GridGeometry — геометрия сетки расстановки для квадратных и гексагональных сцен
+ *
+ * Позиция участника в сетке расстановки (gridPos) хранится в клетках сцены:
+ * - квадратная сетка: {x, y} — смещение в клетках, поле 5x5 (от -2 до 2);
+ * - гексы: {x: q, y: r} — осевые (axial) координаты, шестиугольник радиуса 2.
+ *
+ * «Вперёд» на сетке расстановки — это -y. У гексов это сосед (0, -1):
+ * на сетке-«колонках» он смотрит на север, на сетке-«строках» — на северо-запад,
+ * поэтому гексы поворачиваются только шагами по 60° от этого угла.
+ *
+ * Requires Foundry VTT v13+
+ */
+
+export class GridGeometry {
+
+    // Радиус сетки расстановки в клетках
+    static ARRANGEMENT_RADIUS = 2;
+
+    // Соседи гекса (axial) по часовой стрелке, начиная с «вперёд»
+    static HEX_DIRECTIONS = [
+        { x: 0, y: -1 },
+        { x: 1, y: -1 },
+        { x: 1, y: 0 },
+        { x: 0, y: 1 },
+        { x: -1, y: 1 },
+        { x: -1, y: 0 }
+    ];
+
+    /**
+     * Гексагональная ли сетка у текущей сцены
+     * @returns {boolean}
+     */
+    static isHex() {
+        return !!canvas.grid?.isHexagonal;
+    }
+
+    /**
+     * Угол соседа (0, -1) на сцене (0 = север)
+     * @returns {number}
+     */
+    static getHexFrameAngle() {
+        return canvas.grid.columns ? 0 : -30;
+    }
+
+    // ==========================================
+    // КЛЕТКИ СЕТКИ РАССТАНОВКИ
+    // ==========================================
+
+    /**
+     * Все клетки сетки расстановки по строкам (сверху вниз, слева направо)
+     * @returns {Array<{x: number, y: number}>}
+     */
+    static getArrangementCells() {
+        const radius = this.ARRANGEMENT_RADIUS;
+        const cells = [];
+        for (let y = -radius; y <= radius; y++) {
+            for (let x = -radius; x <= radius; x++) {
+                if (this.isInArrangement({ x, y })) cells.push({ x, y });
+            }
+        }
+        return cells;
+    }
+
+    /**
+     * Лежит ли позиция внутри сетки расстановки
+     * @param {{x: number, y: number}} gridPos
+     * @returns {boolean}
+     */
+    static isInArrangement(gridPos) {
+        return this.getGridPosDistance({ x: 0, y: 0 }, gridPos) <= this.ARRANGEMENT_RADIUS;
+    }
+
+    /**
+     * Расстояние между позициями сетки в клетках
+     * (квадрат — по Чебышёву, гексы — по кубическим координатам)
+     * @param {{x: number, y: number}} a
+     * @param {{x: number, y: number}} b
+     * @returns {number}
+     */
+    static getGridPosDistance(a, b) {
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+        if (this.isHex()) return (Math.abs(dx) + Math.abs(dy) + Math.abs(dx + dy)) / 2;
+        return Math.max(Math.abs(dx), Math.abs(dy));
+    }
+
+    /**
+     * Прижать позицию к границе сетки расстановки, сохраняя направление
+     * @param {{x: number, y: number}} gridPos
+     * @returns {{x: number, y: number}}
+     */
+    static clampToArrangement(gridPos) {
+        const radius = this.ARRANGEMENT_RADIUS;
+
+        if (!this.isHex()) {
+            const clamp = (val) => Math.max(-radius, Math.min(radius, val));
+            return { x: clamp(gridPos.x), y: clamp(gridPos.y) };
+        }
+
+        const distance = this.getGridPosDistance({ x: 0, y: 0 }, gridPos);
+        if (distance <= radius) return { x: gridPos.x, y: gridPos.y };
+
+        const scale = radius / distance;
+        return this._roundHex(gridPos.x * scale, gridPos.y * scale);
+    }
+
+    /**
+     * Позиция в шеренге: lateral клеток вправо и back клеток назад.
+     * На гексах шеренга идёт «зигзагом», чтобы оставаться поперёк направления «вперёд».
+     * @param {number} lateral
+     * @param {number} back
+     * @returns {{x: number, y: number}}
+     */
+    static getRankPos(lateral, back) {
+        if (!this.isHex()) return { x: lateral, y: back };
+        return { x: lateral, y: back - Math.floor(lateral / 2) };
+    }
+
+    /**
+     * Кольцо гексов вокруг центра по часовой стрелке, начиная с «вперёд»
+     * @param {number} radius
+     * @returns {Array<{x: number, y: number}>}
+     */
+    static getHexRing(radius) {
+        if (radius === 0) return [{ x: 0, y: 0 }];
+
+        const dirs = this.HEX_DIRECTIONS;
+        const ring = [];
+        let x = dirs[0].x * radius;
+        let y = dirs[0].y * radius;
+
+        // От вершины «вперёд» шагаем вдоль шести сторон кольца
+        for (let side = 0; side < 6; side++) {
+            const step = dirs[(side + 2) % 6];
+            for (let i = 0; i < radius; i++) {
+                ring.push({ x, y });
+                x += step.x;
+                y += step.y;
+            }
+        }
+        return ring;
+    }
+
+    /**
+     * Гексы от центра наружу, кольцо за кольцом
+     * @param {number} [radius]
+     * @returns {Array<{x: number, y: number}>}
+     */
+    static getHexSpiral(radius = this.ARRANGEMENT_RADIUS) {
+        const cells = [];
+        for (let k = 0; k <= radius; k++) cells.push(...this.getHexRing(k));
+        return cells;
+    }
+
+    /**
+     * Повернуть позицию гекса на steps шагов по 60° по часовой стрелке
+     * @param {{x: number, y: number}} gridPos
+     * @param {number} steps
+     * @returns {{x: number, y: number}}
+     */
+    static rotateHex(gridPos, steps) {
+        let q = gridPos.x;
+        let r = gridPos.y;
+        let s = -q - r;
+        for (let i = 0; i < ((steps % 6) + 6) % 6; i++) {
+            [q, r, s] = [-r, -s, -q];
+        }
+        // + 0 убирает -0, чтобы ключи "x,y" совпадали
+        return { x: q + 0, y: r + 0 };
+    }
+
+    /**
+     * Сколько шагов по 60° соответствует направлению группы
+     * @param {number} direction - Угол в градусах (0 = север)
+     * @returns {number}
+     */
+    static getHexRotationSteps(direction) {
+        return Math.round((direction - this.getHexFrameAngle()) / 60);
+    }
+
+    // ==========================================
+    // ПЕРЕВОД В КООРДИНАТЫ СЦЕНЫ
+    // ==========================================
+
+    /**
+     * Смещение клетки расстановки от центра группы в пикселях
+     * @param {{x: number, y: number}} gridPos
+     * @param {number} [direction] - Направление группы (0 = север)
+     * @returns {{dx: number, dy: number}}
+     */
+    static getSlotOffset(gridPos, direction = 0) {
+        if (this.isHex()) {
+            const { x: q, y: r } = this.rotateHex(gridPos, this.getHexRotationSteps(direction));
+            const slot = canvas.grid.cubeToPoint({ q, r, s: -q - r });
+            const origin = canvas.grid.cubeToPoint({ q: 0, r: 0, s: 0 });
+            return { dx: slot.x - origin.x, dy: slot.y - origin.y };
+        }
+
+        const gridSize = canvas.grid.size;
+        const rad = Math.toRadians(direction);
+        const cos = Math.cos(rad);
+        const sin = Math.sin(rad);
+        const baseDx = gridPos.x * gridSize;
+        const baseDy = gridPos.y * gridSize;
+
+        return {
+            dx: baseDx * cos - baseDy * sin,
+            dy: baseDx * sin + baseDy * cos
+        };
+    }
+
+    /**
+     * Центр клетки сцены для позиции расстановки
+     * @param {{x: number, y: number}} origin - Центр токена группы
+     * @param {{x: number, y: number}} gridPos
+     * @param {number} [direction] - Направление группы (0 = север)
+     * @returns {{x: number, y: number}}
+     */
+    static getSlotCenter(origin, gridPos, direction = 0) {
+        const base = this.isHex() ? canvas.grid.getCenterPoint(origin) : origin;
+        const { dx, dy } = this.getSlotOffset(gridPos, direction);
+        return { x: base.x + dx, y: base.y + dy };
+    }
+
+    /**
+     * Позиция расстановки точки сцены относительно центра (без поворота)
+     * @param {{x: number, y: number}} point
+     * @param {{x: number, y: number}} origin
+     * @returns {{x: number, y: number}}
+     */
+    static pointToGridPos(point, origin) {
+        if (this.isHex()) {
+            const a = canvas.grid.getCube(point);
+            const b = canvas.grid.getCube(origin);
+            return { x: a.q - b.q, y: a.r - b.r };
+        }
+
+        const gridSize = canvas.grid.size;
+        return {
+            x: Math.round((point.x - origin.x) / gridSize),
+            y: Math.round((point.y - origin.y) / gridSize)
+        };
+    }
+
+    /**
+     * Округлить дробные осевые координаты до ближайшего гекса
+     * @param {number} q
+     * @param {number} r
+     * @returns {{x: number, y: number}}
+     * @private
+     */
+    static _roundHex(q, r) {
+        const s = -q - r;
+        let rq = Math.round(q);
+        let rr = Math.round(r);
+        const rs = Math.round(s);
+
+        const dq = Math.abs(rq - q);
+        const dr = Math.abs(rr - r);
+        const ds = Math.abs(rs - s);
+
+        if (dq > dr && dq > ds) rq = -rr - rs;
+        else if (dr > ds) rr = -rq - rs;
+
+        return { x: rq + 0, y: rr + 0 };
+    }
+}
@@ -6,6 +6,7 @@
  * - Групповые проверки навыков (Stealth)
  * - Скорость группы = минимальная
  * - Истощение влияет на скорость
+ * - Урон по токену группы — участникам, с их сопротивлениями и иммунитетами
  */
 
 import { MODULE_ID } from '../main.js';
@@ -32,6 +33,78 @@ export class DnD5eIntegration {
 
         // Регистрируем дополнительные хуки
         Hooks.on('updateActor', this._onActorUpdate.bind(this));
+
+        // Урон по токену группы достаётся участникам: каждому уходит исходный урон с типами
+        // и свойствами, поэтому сопротивления, иммунитеты, уязвимости и временные хиты считает 5e
+        const distribution = game.groupPovuxa?.distribution;
+        if (distribution) {
+            // calculateDamage и preApplyDamage получают один и тот же объект options вызова applyDamage;
+            // расчёт без применения (превью в карточке урона) до preApplyDamage не доходит
+            const incoming = new WeakMap();
+            Hooks.on('dnd5e.preCalculateDamage', (actor, damages, options) => {
+                if (actor.getFlag(MODULE_ID, 'isPartyActor')) incoming.set(options, damages);
+            });
+            Hooks.on('dnd5e.preApplyDamage', (actor, amount, updates, options) => {
+                const damages = incoming.get(options);
+                const details = damages ? this._toDamageDetails(damages, options) : null;
+                if (distribution.interceptDamage(actor, amount, details)) return false;
+            });
+            distribution.applyDamage = (actor, amount, details) => this._applyMemberDamage(actor, amount, details);
+        }
+    }
+
+    /**
+     * Урон 5e в сериализуемом виде — он может уйти ГМу через сокет (Set -> массив)
+     * @param {Object[]} damages - DamageDescription[] до расчёта: { value, type, properties }
+     * @param {Object} options - Опции Actor5e#applyDamage
+     * @returns {{damages: Object[], options: Object}}
+     * @private
+     */
+    static _toDamageDetails(damages, options) {
+        const toArray = (value) => value instanceof Set ? [...value] : value;
+        const ignore = (options.ignore && typeof options.ignore === 'object')
+            ? Object.fromEntries(Object.entries(options.ignore).map(([key, value]) => [key, toArray(value)]))
+            : options.ignore;
+
+        return {
+            damages: damages.map(d => ({ value: d.value, type: d.type, properties: [...(d.properties ?? [])] })),
+            options: Object.fromEntries(
+                Object.entries({ ignore, multiplier: options.multiplier, invertHealing: options.invertHealing })
+                    .filter(([, value]) => value !== undefined)
+            )
+        };
+    }
+
+    /**
+     * Нанести урон участнику средствами 5e (PartyDistribution.applyDamage)
+     * @param {Actor} actor - Актёр участника
+     * @param {number} amount - Урон, рассчитанный для актёра группы (если исходного нет)
+     * @param {Object|null} details - Результат _toDamageDetails
+     * @returns {Promise<number>} - Сколько хитов (с временными) участник потерял; отрицательное — лечение
+     * @private
+     */
+    static async _applyMemberDamage(actor, amount, details) {
+        const hitPoints = () => {
+            const hp = actor.system.attributes?.hp;
+            return (Number(hp?.value) || 0) + (Number(hp?.temp) || 0);
+        };
+        const before = hitPoints();
+
+        if (details) {
+            const toSet = (value) => Array.isArray(value) ? new Set(value) : value;
+            const { ignore, ...options } = details.options ?? {};
+            if (ignore !== undefined) {
+                options.ignore = (ignore && typeof ignore === 'object')
+                    ? Object.fromEntries(Object.entries(ignore).map(([key, value]) => [key, toSet(value)]))
+                    : ignore;
+            }
+            const damages = details.damages.map(d => ({ ...d, properties: new Set(d.properties ?? []) }));
+            await actor.applyDamage(damages, options);
+        } else {
+            await actor.applyDamage(amount);
+        }
+
+        return before - hitPoints();
     }
 
     /**
@@ -230,17 +303,44 @@ export class DnD5eIntegration {
 
     /**
      * Хук на обновление актёра — обновить токен группы если участник изменился
+     * Полосы перерисовывает PartyBars, здесь — зрение по чувствам 5e (только активный ГМ)
      */
-    static _onActorUpdate(actor, changes, options, userId) {
-        // Проверяем, есть ли активная группа с этим актёром
-        const partyData = game.groupPovuxa?.manager?.getPartyData();
-        if (!partyData) return;
-
-        const isMember = partyData.members.some(m => m.actorId === actor.id);
-        if (!isMember) return;
+    static async _onActorUpdate(actor, changes, options, userId) {
+        if (game.user !== game.users.activeGM) return;
+        if (!foundry.utils.hasProperty(changes, 'system.attributes.senses')) return;
+
+        const manager = game.groupPovuxa?.manager;
+        const distribution = game.groupPovuxa?.distribution;
+        if (!manager || !distribution) return;
+
+        // Проверяем, есть ли на сцене группа с этим актёром
+        for (const partyToken of manager.getPartyTokens()) {
+            const members = foundry.utils.deepClone(partyToken.document.getFlag(MODULE_ID, 'members') || []);
+            const member = members.find(m => distribution.getMemberActor(m) === actor);
+            if (!member) continue;
+
+            // Тёмное зрение участника — в сохранённое зрение его токена.
+            // Дальность без тёмного зрения (baseRange) возвращается, когда оно пропадает
+            const darkvision = actor.system.attributes?.senses?.darkvision || 0;
+            const vision = member.vision ?? { enabled: false, range: 0, visionMode: 'basic' };
+            const baseRange = vision.baseRange ?? (vision.visionMode === 'darkvision' ? 0 : vision.range ?? 0);
+            if (darkvision > 0) {
+                vision.enabled = true;
+                vision.baseRange = baseRange;
+                vision.range = Math.max(baseRange, darkvision);
+                vision.visionMode = 'darkvision';
+            } else if (vision.visionMode === 'darkvision') {
+                vision.visionMode = 'basic';
+                vision.range = baseRange;
+                delete vision.baseRange;
+            }
+            member.vision = vision;
 
-        // Обновляем характеристики токена группы
-        // TODO: Реализовать пересчёт зрения/света при изменении актёра
+            // Обновляем характеристики токена группы
+            await partyToken.document.setFlag(MODULE_ID, 'members', members);
+            await manager._updatePartyTokenVision(partyToken, members);
+            manager._cacheParty(partyToken, members);
+        }
     }
 
     /**
@@ -263,8 +363,3 @@ export class DnD5eIntegration {
         };
     }
 }
-
-// Автоматическая инициализация при загрузке
-Hooks.once('ready', () => {
-    DnD5eIntegration.init();
-});
@@ -8,6 +8,17 @@
 import { PartyManager } from './party-manager.js';
 import { PartyPanelApp } from './ui/party-panel.js';
 import { FormationPresets } from './formation-presets.js';
+import { PartySocket } from './socket.js';
+import { PartyAnimations } from './animations.js';
+import { DeployPreview } from './ui/deploy-preview.js';
+import { FollowMode } from './follow-mode.js';
+import { PartyRosters } from './party-rosters.js';
+import { PartyRegionBehaviors } from './region-behaviors.js';
+import { PartyCombat } from './party-combat.js';
+import { PartyDistribution } from './party-distribution.js';
+import { PartyStatusSync } from './party-status-sync.js';
+import { PartyBars } from './party-bars.js';
+import { DnD5eIntegration } from './integrations/dnd5e.js';
 
 // === КОНСТАНТЫ ===
 export const MODULE_ID = 'group-povuxa';
@@ -23,6 +34,12 @@ Hooks.once('init', () => {
     // Регистрируем горячие клавиши
     registerKeybindings();
 
+    // Поведения регионов: авто-роспуск и точка сбора
+    PartyRegionBehaviors.register();
+
+    // Сводные полосы ресурсов на токене группы
+    PartyBars.register();
+
     console.log(`${MODULE_NAME} | Настройки зарегистрированы`);
 });
 
@@ -38,19 +55,66 @@ Hooks.once('ready', () => {
             }
             game.groupPovuxa._panel.render(true);
         },
-        formations: FormationPresets
+        formations: FormationPresets,
+        follow: FollowMode,
+        rosters: PartyRosters,
+        combat: PartyCombat,
+        distribution: PartyDistribution,
+        statusSync: PartyStatusSync,
+        bars: PartyBars
     };
 
+    // Действия игроков выполняет активный ГМ
+    PartySocket.init();
+
+    // Интеграция с системой (сама проверяет game.system.id)
+    DnD5eIntegration.init();
+
     // Export API for other modules
+    // `party` — токен группы, его документ или ID группы (без него — выбранная/первая группа)
+    const manager = game.groupPovuxa.manager;
     game.modules.get(MODULE_ID).api = {
-        gather: (tokens) => game.groupPovuxa.manager.gatherParty(tokens),
-        disperse: (partyToken) => game.groupPovuxa.manager.disperseParty(partyToken),
-        scatter: (partyToken) => game.groupPovuxa.manager.emergencyScatter(partyToken),
+        gather: (tokens, options = {}) => manager.gatherParty(tokens, options),
+        // «Собраться вокруг меня»: союзники в радиусе (options.radius, клетки) без стен на пути; options.confirm
+        gatherAround: (leader, options = {}) => manager.gatherAround(
+            typeof leader === 'string' ? canvas.tokens.get(leader) : (leader?.object ?? leader), options
+        ),
+        disperse: (party, options = {}) => manager.disperseParty(manager.resolvePartyToken(party), options),
+        // Режим расстановки: призраки на местах, роспуск после подтверждения (Promise<boolean>)
+        deploy: (party, options = {}) => new DeployPreview(manager.resolvePartyToken(party), options).start(),
+        scatter: (party) => manager.emergencyScatter(manager.resolvePartyToken(party)),
         openPanel: () => game.groupPovuxa.openPanel(),
-        getPartyData: () => game.groupPovuxa.manager.getPartyData(),
+        getPartyData: (partyId) => manager.getPartyData(partyId),
+        getParties: () => manager.getParties(),
         getFormations: () => FormationPresets.getAll(),
-        addToParty: (token) => game.groupPovuxa.manager.addMember(token),
-        removeFromParty: (tokenId) => game.groupPovuxa.manager.removeMember(tokenId)
+        // Оценка шаблона на месте группы: { formation, direction, score, fits } или null (расстановка по сетке)
+        getFormationFit: (party, options = {}) => {
+            const partyToken = manager.resolvePartyToken(party);
+            return partyToken ? manager.planDisperse(partyToken, options).fit : null;
+        },
+        addToParty: (token, party) => manager.addMember(token, manager.resolvePartyToken(party)),
+        removeFromParty: (tokenId, party) => party
+            ? manager.removeMember(tokenId, manager.resolvePartyToken(party))
+            : manager.removeMember(tokenId),
+        renameParty: (party, name) => manager.renameParty(manager.resolvePartyToken(party), name),
+        // Перенести группу на другую сцену: scene — документ, ID или UUID; options { x, y, disperse, view }
+        moveToScene: (party, scene, options = {}) => manager.moveToScene(manager.resolvePartyToken(party), scene, options),
+        // Режим «за ведущим»: токены (или их ID), ведущий первым; options.style — 'formation' | 'marching'
+        follow: (tokens, options = {}) => FollowMode.start(
+            tokens.map(t => typeof t === 'string' ? canvas.tokens.get(t) : (t.object ?? t)).filter(Boolean), options
+        ),
+        unfollow: (leader) => FollowMode.stop(typeof leader === 'string' ? canvas.tokens.get(leader) : (leader?.object ?? leader)),
+        getFollowLeaders: () => FollowMode.getLeaders(),
+        // Урон (отрицательный — лечение) и эффекты участникам: options { mode: 'all'|'random'|'slot'|'front', slot }
+        distribute: (party, payload = {}, options = {}) => PartyDistribution.distribute(manager.resolvePartyToken(party), payload, options),
+        // Сохранённые составы: `roster` — ID или название; members — [{ actorId, name, role, gridPos }]
+        getRosters: () => PartyRosters.getAll(),
+        saveRoster: (name, members, options = {}) => PartyRosters.save(name, members, options),
+        deleteRoster: (roster) => PartyRosters.delete(PartyRosters.get(roster)?.id),
+        gatherRoster: (roster, options = {}) => PartyRosters.gather(roster, options),
+        // Свой стиль анимации: { label, animate(moves, context) } — см. scripts/animations.js
+        registerAnimationStyle: (id, style) => PartyAnimations.register(id, style),
+        getAnimationStyles: () => PartyAnimations.getStyles().map(({ id, label }) => ({ id, label }))
     };
 
     const moduleVersion = game.modules.get(MODULE_ID)?.version ?? 'unknown';
@@ -222,10 +286,22 @@ Hooks.on('renderTokenHUD', (hud, html, tokenData) => {
             await game.groupPovuxa.manager.disperseParty(token);
         });
     } else {
+        const gatherAround = document.createElement('div');
+        gatherAround.classList.add('control-icon', 'group-povuxa-hud');
+        gatherAround.innerHTML = '<i class="fas fa-people-arrows"></i>';
+        gatherAround.title = game.i18n.localize('GROUP_POVUXA.Actions.GatherAround');
+        gatherAround.addEventListener('click', () => game.groupPovuxa.manager.gatherAround(token));
+        container.querySelector('.col.right')?.append(gatherAround);
+
         button.innerHTML = '<i class="fas fa-user-plus"></i>';
         button.title = game.i18n.localize('GROUP_POVUXA.Actions.AddToken');
         button.addEventListener('click', async () => {
-            await game.groupPovuxa.manager.addMember(token);
+            const parties = game.groupPovuxa.manager.getParties();
+            const partyToken = parties.length > 1
+                ? await promptPartyChoice(parties)
+                : canvas.tokens.get(parties[0]?.partyTokenId);
+            if (parties.length > 1 && !partyToken) return; // Диалог закрыт
+            await game.groupPovuxa.manager.addMember(token, partyToken ?? null);
         });
     }
 
@@ -234,6 +310,28 @@ Hooks.on('renderTokenHUD', (hud, html, tokenData) => {
     if (rightCol) rightCol.append(button);
 });
 
+/**
+ * Спросить, в какую из групп сцены добавить токен
+ * @param {Object[]} parties - Данные групп (PartyManager.getParties)
+ * @returns {Promise<Token|null>}
+ */
+async function promptPartyChoice(parties) {
+    const options = parties.map(p =>
+        `<option value="${p.partyTokenId}">${Handlebars.escapeExpression(p.name)}</option>`
+    ).join('');
+
+    const partyTokenId = await foundry.applications.api.DialogV2.prompt({
+        window: { title: game.i18n.localize('GROUP_POVUXA.Party.Choose') },
+        content: `<form><div class="form-group"><label>${game.i18n.localize('GROUP_POVUXA.Party.Label')}</label><select name="partyTokenId">${options}</select></div></form>`,
+        ok: {
+            callback: (event, button, dialog) => button.form.elements.partyTokenId.value
+        },
+        rejectClose: false
+    });
+
+    return partyTokenId ? canvas.tokens.get(partyTokenId) ?? null : null;
+}
+
 // === СКРЫТИЕ АКТЕРА ГРУППЫ ===
 Hooks.on('renderActorDirectory', (app, html, data) => {
     if (!game.settings.get(MODULE_ID, 'hidePartyActor')) return;
@@ -241,8 +339,8 @@ Hooks.on('renderActorDirectory', (app, html, data) => {
     // V13: html may be HTMLElement or jQuery. Use native DOM.
     const container = html instanceof HTMLElement ? html : html[0] ?? html;
 
-    const actor = game.actors.find(a => a.getFlag(MODULE_ID, 'isPartyActor'));
-    if (actor) {
+    // У каждой группы свой актёр
+    for (const actor of game.actors.filter(a => a.getFlag(MODULE_ID, 'isPartyActor'))) {
         const li = container.querySelector(`.actor[data-document-id="${actor.id}"]`);
         if (li) li.style.display = 'none';
     }
@@ -277,6 +375,22 @@ function registerSettings() {
         default: 'line'
     });
 
+    // Шаблон для узких проходов (шире прохода шаблон не разворачивается)
+    game.settings.register(MODULE_ID, 'corridorFormation', {
+        name: game.i18n.localize('GROUP_POVUXA.Settings.CorridorFormation'),
+        hint: game.i18n.localize('GROUP_POVUXA.Settings.CorridorFormationHint'),
+        scope: 'world',
+        config: true,
+        type: String,
+        choices: {
+            none: game.i18n.localize('GROUP_POVUXA.Settings.CorridorOff'),
+            snake: game.i18n.localize('GROUP_POVUXA.Formations.Snake'),
+            line: game.i18n.localize('GROUP_POVUXA.Formations.Line'),
+            wedge: game.i18n.localize('GROUP_POVUXA.Formations.Wedge')
+        },
+        default: 'snake'
+    });
+
     // Анимации вкл/выкл
     game.settings.register(MODULE_ID, 'enableAnimations', {
         name: game.i18n.localize('GROUP_POVUXA.Settings.EnableAnimations'),
@@ -287,6 +401,48 @@ function registerSettings() {
         default: true
     });
 
+    // Стиль анимации (стили других модулей добавляются в выбор при регистрации)
+    game.settings.register(MODULE_ID, 'animationStyle', {
+        name: game.i18n.localize('GROUP_POVUXA.Settings.AnimationStyle'),
+        hint: game.i18n.localize('GROUP_POVUXA.Settings.AnimationStyleHint'),
+        scope: 'world',
+        config: true,
+        type: String,
+        choices: Object.fromEntries(PartyAnimations.getStyles().map(s => [s.id, game.i18n.localize(s.label)])),
+        default: 'slide'
+    });
+
+    // Длительность сбора (мс)
+    game.settings.register(MODULE_ID, 'gatherDuration', {
+        name: game.i18n.localize('GROUP_POVUXA.Settings.GatherDuration'),
+        scope: 'world',
+        config: true,
+        type: Number,
+        default: 400,
+        range: { min: 100, max: 3000, step: 50 }
+    });
+
+    // Длительность роспуска (мс)
+    game.settings.register(MODULE_ID, 'disperseDuration', {
+        name: game.i18n.localize('GROUP_POVUXA.Settings.DisperseDuration'),
+        scope: 'world',
+        config: true,
+        type: Number,
+        default: 500,
+        range: { min: 100, max: 3000, step: 50 }
+    });
+
+    // Пауза между участниками в стиле «по очереди» (мс)
+    game.settings.register(MODULE_ID, 'staggerDelay', {
+        name: game.i18n.localize('GROUP_POVUXA.Settings.StaggerDelay'),
+        hint: game.i18n.localize('GROUP_POVUXA.Settings.StaggerDelayHint'),
+        scope: 'world',
+        config: true,
+        type: Number,
+        default: 150,
+        range: { min: 0, max: 1000, step: 25 }
+    });
+
     // Дистанция разведчика
     game.settings.register(MODULE_ID, 'scoutDistance', {
         name: game.i18n.localize('GROUP_POVUXA.Settings.ScoutDistance'),
@@ -325,6 +481,213 @@ function registerSettings() {
         default: true
     });
 
+    // Округление направления движения до направлений сетки
+    game.settings.register(MODULE_ID, 'snapFacing', {
+        name: game.i18n.localize('GROUP_POVUXA.Settings.SnapFacing'),
+        hint: game.i18n.localize('GROUP_POVUXA.Settings.SnapFacingHint'),
+        scope: 'world',
+        config: true,
+        type: Boolean,
+        default: true
+    });
+
+    // Режим «за ведущим»: на местах сетки расстановки или цепочкой по следу
+    game.settings.register(MODULE_ID, 'followStyle', {
+        name: game.i18n.localize('GROUP_POVUXA.Settings.FollowStyle'),
+        hint: game.i18n.localize('GROUP_POVUXA.Settings.FollowStyleHint'),
+        scope: 'world',
+        config: true,
+        type: String,
+        choices: {
+            marching: game.i18n.localize('GROUP_POVUXA.Follow.Marching'),
+            formation: game.i18n.localize('GROUP_POVUXA.Follow.Formation')
+        },
+        default: 'marching'
+    });
+
+    // След группы: сколько последних клеток пути помнит токен группы (для «Змейки»)
+    game.settings.register(MODULE_ID, 'trailLength', {
+        name: game.i18n.localize('GROUP_POVUXA.Settings.TrailLength'),
+        hint: game.i18n.localize('GROUP_POVUXA.Settings.TrailLengthHint'),
+        scope: 'world',
+        config: true,
+        type: Number,
+        default: 12,
+        range: { min: 0, max: 30, step: 1 }
+    });
+
+    // Группа и бой: когда распускать группу, попавшую в трекер боя
+    game.settings.register(MODULE_ID, 'combatDisperse', {
+        name: game.i18n.localize('GROUP_POVUXA.Settings.CombatDisperse'),
+        hint: game.i18n.localize('GROUP_POVUXA.Settings.CombatDisperseHint'),
+        scope: 'world',
+        config: true,
+        type: String,
+        choices: {
+            off: game.i18n.localize('GROUP_POVUXA.Settings.CombatDisperseOff'),
+            add: game.i18n.localize('GROUP_POVUXA.Settings.CombatDisperseAdd'),
+            start: game.i18n.localize('GROUP_POVUXA.Settings.CombatDisperseStart')
+        },
+        default: 'off'
+    });
+
+    // Шаблон роспуска перед боем (пусто — шаблон группы)
+    game.settings.register(MODULE_ID, 'combatFormation', {
+        name: game.i18n.localize('GROUP_POVUXA.Settings.CombatFormation'),
+        hint: game.i18n.localize('GROUP_POVUXA.Settings.CombatFormationHint'),
+        scope: 'world',
+        config: true,
+        type: String,
+        choices: {
+            '': game.i18n.localize('GROUP_POVUXA.Regions.PartyFormation'),
+            ...Object.fromEntries(Object.entries(FormationPresets.FORMATIONS).map(([id, f]) => [id, game.i18n.localize(f.name)]))
+        },
+        default: ''
+    });
+
+    // Спрашивать, застали ли группу врасплох (тогда — экстренное рассеивание)
+    game.settings.register(MODULE_ID, 'combatAskSurprise', {
+        name: game.i18n.localize('GROUP_POVUXA.Settings.CombatAskSurprise'),
+        hint: game.i18n.localize('GROUP_POVUXA.Settings.CombatAskSurpriseHint'),
+        scope: 'world',
+        config: true,
+        type: Boolean,
+        default: true
+    });
+
+    // Предлагать собрать группу обратно после боя
+    game.settings.register(MODULE_ID, 'combatRegather', {
+        name: game.i18n.localize('GROUP_POVUXA.Settings.CombatRegather'),
+        hint: game.i18n.localize('GROUP_POVUXA.Settings.CombatRegatherHint'),
+        scope: 'world',
+        config: true,
+        type: Boolean,
+        default: true
+    });
+
+    // Кому достаются урон и эффекты, попавшие в токен группы
+    game.settings.register(MODULE_ID, 'distributionMode', {
+        name: game.i18n.localize('GROUP_POVUXA.Settings.DistributionMode'),
+        hint: game.i18n.localize('GROUP_POVUXA.Settings.DistributionModeHint'),
+        scope: 'world',
+        config: true,
+        type: String,
+        choices: {
+            all: game.i18n.localize('GROUP_POVUXA.Settings.DistributionAll'),
+            random: game.i18n.localize('GROUP_POVUXA.Settings.DistributionRandom'),
+            slot: game.i18n.localize('GROUP_POVUXA.Settings.DistributionSlotMode'),
+            front: game.i18n.localize('GROUP_POVUXA.Settings.DistributionFront')
+        },
+        default: 'all'
+    });
+
+    // Место в походном порядке для режима «участник на месте N»
+    game.settings.register(MODULE_ID, 'distributionSlot', {
+        name: game.i18n.localize('GROUP_POVUXA.Settings.DistributionSlot'),
+        hint: game.i18n.localize('GROUP_POVUXA.Settings.DistributionSlotHint'),
+        scope: 'world',
+        config: true,
+        type: Number,
+        default: 1,
+        range: { min: 1, max: 12, step: 1 }
+    });
+
+    // Путь к хитам в system актёра (value, max, temp)
+    game.settings.register(MODULE_ID, 'hpAttribute', {
+        name: game.i18n.localize('GROUP_POVUXA.Settings.HpAttribute'),
+        hint: game.i18n.localize('GROUP_POVUXA.Settings.HpAttributeHint'),
+        scope: 'world',
+        config: true,
+        type: String,
+        default: 'attributes.hp',
+        onChange: () => PartyBars.refreshAll()
+    });
+
+    // Состояния, которые переходят между токеном группы и участниками (ID через запятую)
+    game.settings.register(MODULE_ID, 'syncStatuses', {
+        name: game.i18n.localize('GROUP_POVUXA.Settings.SyncStatuses'),
+        hint: game.i18n.localize('GROUP_POVUXA.Settings.SyncStatusesHint'),
+        scope: 'world',
+        config: true,
+        type: String,
+        default: 'invisible, prone, poison, poisoned'
+    });
+
+    // Состояния участников, которые показывает значок на токене группы
+    game.settings.register(MODULE_ID, 'badgeStatuses', {
+        name: game.i18n.localize('GROUP_POVUXA.Settings.BadgeStatuses'),
+        hint: game.i18n.localize('GROUP_POVUXA.Settings.BadgeStatusesHint'),
+        scope: 'world',
+        config: true,
+        type: String,
+        default: 'unconscious, dead, exhaustion',
+        onChange: () => canvas.tokens?.placeables.forEach(token => PartyStatusSync.refreshBadge(token))
+    });
+
+    // Полосы токена группы: сводка по участникам (путь — hpAttribute)
+    const barChoices = {
+        none: game.i18n.localize('GROUP_POVUXA.Settings.PartyBarNone'),
+        total: game.i18n.localize('GROUP_POVUXA.Settings.PartyBarTotal'),
+        average: game.i18n.localize('GROUP_POVUXA.Settings.PartyBarAverage'),
+        lowest: game.i18n.localize('GROUP_POVUXA.Settings.PartyBarLowest'),
+        wounded: game.i18n.localize('GROUP_POVUXA.Settings.PartyBarWounded')
+    };
+    game.settings.register(MODULE_ID, 'partyBar1', {
+        name: game.i18n.localize('GROUP_POVUXA.Settings.PartyBar1'),
+        hint: game.i18n.localize('GROUP_POVUXA.Settings.PartyBarHint'),
+        scope: 'world',
+        config: true,
+        type: String,
+        choices: barChoices,
+        default: 'total',
+        onChange: () => PartyBars.refreshAll()
+    });
+    game.settings.register(MODULE_ID, 'partyBar2', {
+        name: game.i18n.localize('GROUP_POVUXA.Settings.PartyBar2'),
+        hint: game.i18n.localize('GROUP_POVUXA.Settings.PartyBarHint'),
+        scope: 'world',
+        config: true,
+        type: String,
+        choices: barChoices,
+        default: 'lowest',
+        onChange: () => PartyBars.refreshAll()
+    });
+
+    // Распускать группу по прибытии на другую сцену (переход или Teleport Token)
+    game.settings.register(MODULE_ID, 'disperseOnArrival', {
+        name: game.i18n.localize('GROUP_POVUXA.Settings.DisperseOnArrival'),
+        hint: game.i18n.localize('GROUP_POVUXA.Settings.DisperseOnArrivalHint'),
+        scope: 'world',
+        config: true,
+        type: Boolean,
+        default: false
+    });
+
+    // Радиус «Собраться вокруг меня» (в клетках)
+    game.settings.register(MODULE_ID, 'gatherRadius', {
+        name: game.i18n.localize('GROUP_POVUXA.Settings.GatherRadius'),
+        hint: game.i18n.localize('GROUP_POVUXA.Settings.GatherRadiusHint'),
+        scope: 'world',
+        config: true,
+        type: Number,
+        default: 6,
+        range: { min: 1, max: 20, step: 1 }
+    });
+
+    // Режим сбора: прятать токены участников или удалять их (старый режим)
+    game.settings.register(MODULE_ID, 'gatherMode', {
+        name: game.i18n.localize('GROUP_POVUXA.Settings.GatherMode'),
+        hint: game.i18n.localize('GROUP_POVUXA.Settings.GatherModeHint'),
+        scope: 'world',
+        config: true,
+        type: String,
+        choices: {
+            hide: game.i18n.localize('GROUP_POVUXA.Settings.GatherModeHide'),
+            delete: game.i18n.localize('GROUP_POVUXA.Settings.GatherModeDelete')
+        },
+        default: 'hide'
+    });
+
     // Сохранение черновика расстановки (скрытая настройка)
     game.settings.register(MODULE_ID, 'lastDraft', {
         name: 'Last Draft Grid',
@@ -355,6 +718,15 @@ function registerSettings() {
         type: Object,
         default: {}
     });
+
+    // Сохранённые составы групп (см. PartyRosters)
+    game.settings.register(MODULE_ID, 'rosters', {
+        name: 'Party Rosters',
+        scope: 'world',
+        config: false,
+        type: Object,
+        default: {}
+    });
 }
 
 // === ЗАЩИТА ОТ УДАЛЕНИЯ ТОКЕНА ГРУППЫ ===
@@ -364,6 +736,9 @@ Hooks.on('preDeleteToken', (tokenDoc, options, userId) => {
         // If this deletion was triggered by our disperseParty, allow it
         if (options.groupPovuxaDispersing) return true;
 
+        // Регион с Teleport Token заменяет токен копией на другой сцене — участников перенесёт deleteToken
+        if (options.replacements?.[tokenDoc.id]) return true;
+
         console.log(`${MODULE_ID} | Intercepting party token deletion. Launching disperse...`);
 
         // Launch disperse asynchronously via setTimeout to avoid blocking the sync hook
@@ -385,6 +760,65 @@ Hooks.on('preDeleteToken', (tokenDoc, options, userId) => {
     }
 });
 
+// === ПЕРЕХОД ГРУППЫ НА ДРУГУЮ СЦЕНУ (TELEPORT TOKEN) ===
+Hooks.on('deleteToken', (tokenDoc, options) => {
+    const replacement = options.replacements?.[tokenDoc.id];
+    if (!replacement || !tokenDoc.getFlag(MODULE_ID, 'isPartyToken') || game.user !== game.users.activeGM) return;
+    game.groupPovuxa.manager.onPartyTeleported(tokenDoc, replacement);
+});
+
+// Группа прибыла на сцену, которую ГМ только что открыл
+Hooks.on('canvasReady', () => {
+    if (game.user !== game.users.activeGM || !game.groupPovuxa) return;
+    game.groupPovuxa.manager.disperseArrivals();
+});
+
+// === ГРУППА И БОЙ ===
+// В трекер вместо актёра группы попадают участники (настройка combatDisperse)
+Hooks.on('preCreateCombatant', (combatant, data, options) => PartyCombat.onPreCreateCombatant(combatant, options));
+Hooks.on('combatStart', (combat) => {
+    PartyCombat.onCombatStart(combat);
+});
+Hooks.on('deleteCombat', (combat) => {
+    if (game.user !== game.users.activeGM) return;
+    PartyCombat.onDeleteCombat(combat);
+});
+
+// === УРОН И ЭФФЕКТЫ НА ТОКЕНЕ ГРУППЫ ===
+// Достаются участникам (настройка distributionMode)
+Hooks.on('preCreateActiveEffect', (effect, data, options) => PartyDistribution.onPreCreateActiveEffect(effect, options));
+Hooks.on('preUpdateActor', (actor, changes) => PartyDistribution.onPreUpdateActor(actor, changes));
+
+// === СОСТОЯНИЯ ГРУППЫ И УЧАСТНИКОВ ===
+// Синхронизирует активный ГМ (настройка syncStatuses), значок рисует каждый клиент (badgeStatuses)
+Hooks.on('createActiveEffect', (effect, options) => {
+    PartyStatusSync.onMemberEffectChanged(effect);
+    if (game.user !== game.users.activeGM) return;
+    PartyStatusSync.onCreateActiveEffect(effect, options);
+});
+Hooks.on('deleteActiveEffect', (effect, options) => {
+    PartyStatusSync.onMemberEffectChanged(effect);
+    if (game.user !== game.users.activeGM) return;
+    PartyStatusSync.onDeleteActiveEffect(effect, options);
+});
+Hooks.on('updateActiveEffect', (effect) => PartyStatusSync.onMemberEffectChanged(effect));
+Hooks.on('refreshToken', (token) => PartyStatusSync.refreshBadge(token));
+
+// === ПОЛОСЫ РЕСУРСОВ ТОКЕНА ГРУППЫ ===
+Hooks.on('updateActor', (actor) => PartyBars.onMemberActorUpdate(actor));
+
+// === НАПРАВЛЕНИЕ ДВИЖЕНИЯ ГРУППЫ ===
+Hooks.on('preUpdateToken', (tokenDoc, changes, options, userId) => {
+    game.groupPovuxa?.manager?.trackMovement(tokenDoc, changes, options);
+});
+
+// === РЕЖИМ «ЗА ВЕДУЩИМ» ===
+// Участников двигает один клиент — активный ГМ (у игроков нет прав на чужие токены)
+Hooks.on('updateToken', (tokenDoc, changes) => {
+    if (game.user !== game.users.activeGM || tokenDoc.parent !== canvas.scene) return;
+    FollowMode.onUpdateToken(tokenDoc, changes);
+});
+
 // === РЕГИСТРАЦИЯ ГОРЯЧИХ КЛАВИШ ===
 function registerKeybindings() {
     // Собрать группу: Shift + G
@@ -453,6 +887,22 @@ function registerKeybindings() {
         }
     });
 
+    // Собраться вокруг выбранного токена: Alt + G
+    game.keybindings.register(MODULE_ID, 'gatherAround', {
+        name: game.i18n.localize('GROUP_POVUXA.Keybindings.GatherAround'),
+        hint: game.i18n.localize('GROUP_POVUXA.Keybindings.GatherAroundHint'),
+        editable: [{ key: 'KeyG', modifiers: ['Alt'] }],
+        onDown: () => {
+            const tokens = canvas.tokens.controlled;
+            if (tokens.length === 1) {
+                game.groupPovuxa.manager.gatherAround(tokens[0]);
+            } else {
+                ui.notifications.warn(game.i18n.localize('GROUP_POVUXA.Notifications.GatherAroundNoLeader'));
+            }
+            return true;
+        }
+    });
+
     // Открыть панель: Shift + P
     game.keybindings.register(MODULE_ID, 'openPanel', {
         name: game.i18n.localize('GROUP_POVUXA.Keybindings.OpenPanel'),
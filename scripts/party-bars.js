@@ -0,0 +1,107 @@
+/**
+ * PartyBars — полосы ресурсов на токене группы
+ *
+ * У актёра группы своих хитов нет, поэтому полосы токена группы показывают
+ * сводку по участникам (путь к ресурсу — настройка `hpAttribute`):
+ * - 'total'   — сумма текущих и максимальных значений;
+ * - 'average' — среднее по участникам;
+ * - 'lowest'  — наименьший процент среди участников;
+ * - 'wounded' — сколько участников ранено (из всех).
+ * Режимы полос — настройки `partyBar1` и `partyBar2`. Значения подставляются
+ * в TokenDocument#getBarAttribute, поэтому их рисует штатная система полос
+ * и они обновляются при изменении актёров участников (хук updateActor).
+ */
+
+import { MODULE_ID } from './main.js';
+import { PartyDistribution } from './party-distribution.js';
+
+export class PartyBars {
+
+    static MODES = ['none', 'total', 'average', 'lowest', 'wounded'];
+
+    /**
+     * Подменить getBarAttribute у документа токена (хук init, после системы)
+     */
+    static register() {
+        const Base = CONFIG.Token.documentClass;
+        CONFIG.Token.documentClass = class PartyTokenDocument extends Base {
+            /** @override */
+            getBarAttribute(barName, options) {
+                if (this.getFlag(MODULE_ID, 'isPartyToken') && ['bar1', 'bar2'].includes(barName)) {
+                    return PartyBars.getBar(this, barName);
+                }
+                return super.getBarAttribute(barName, options);
+            }
+        };
+    }
+
+    /**
+     * Сводная полоса токена группы
+     * @param {TokenDocument} partyDoc
+     * @param {'bar1'|'bar2'} barName
+     * @returns {{type: 'bar', attribute: string, value: number, max: number, editable: boolean}|null}
+     */
+    static getBar(partyDoc, barName) {
+        const mode = game.settings.get(MODULE_ID, barName === 'bar1' ? 'partyBar1' : 'partyBar2');
+        if (!mode || mode === 'none') return null;
+
+        const path = `system.${game.settings.get(MODULE_ID, 'hpAttribute')}`;
+        const resources = (partyDoc.getFlag(MODULE_ID, 'members') || [])
+            .map(member => PartyDistribution.getMemberActor(member, partyDoc.parent))
+            .filter(Boolean)
+            .map(actor => foundry.utils.getProperty(actor, path))
+            .filter(r => Number.isFinite(r?.value) && Number.isFinite(r?.max) && r.max > 0);
+        if (resources.length === 0) return null;
+
+        const sum = (key) => resources.reduce((total, r) => total + r[key], 0);
+        let value;
+        let max;
+        switch (mode) {
+            case 'average':
+                value = Math.round(sum('value') / resources.length);
+                max = Math.round(sum('max') / resources.length);
+                break;
+
+            case 'lowest':
+                value = Math.round(Math.min(...resources.map(r => Math.clamp(r.value / r.max, 0, 1))) * 100);
+                max = 100;
+                break;
+
+            case 'wounded':
+                value = resources.filter(r => r.value < r.max).length;
+                max = resources.length;
+                break;
+
+            default:
+                value = sum('value');
+                max = sum('max');
+        }
+
+        return { type: 'bar', attribute: `${MODULE_ID}.${mode}`, value, max, editable: false };
+    }
+
+    /**
+     * Актёр участника изменился (хук updateActor): перерисовать полосы его групп
+     * @param {Actor} actor
+     */
+    static onMemberActorUpdate(actor) {
+        if (actor.getFlag(MODULE_ID, 'isPartyActor')) return;
+
+        for (const token of canvas.tokens?.placeables ?? []) {
+            if (!token.document.getFlag(MODULE_ID, 'isPartyToken')) continue;
+            const members = token.document.getFlag(MODULE_ID, 'members') || [];
+            if (members.some(m => PartyDistribution.getMemberActor(m) === actor)) {
+                token.renderFlags.set({ refreshBars: true });
+            }
+        }
+    }
+
+    /**
+     * Перерисовать полосы всех групп (смена настроек)
+     */
+    static refreshAll() {
+        for (const token of canvas.tokens?.placeables ?? []) {
+            if (token.document.getFlag(MODULE_ID, 'isPartyToken')) token.renderFlags.set({ refreshBars: true });
+        }
+    }
+}
@@ -0,0 +1,192 @@
+/**
+ * PartyCombat — группа и бой
+ *
+ * Собранная группа в трекере боя — это технический актёр группы, а не персонажи.
+ * Настройка `combatDisperse` включает перехват:
+ * - 'add' — токен группы добавляют в бой (preCreateCombatant);
+ * - 'start' — бой начинается, а группа уже в трекере (combatStart).
+ * Группа расходится (шаблоном `combatFormation` или экстренным рассеиванием,
+ * если её застали врасплох), в бой добавляются токены участников.
+ *
+ * Расстановка запоминается во флаге боя `parties.<partyId>`; когда бой
+ * заканчивается (deleteCombat), активному ГМу предлагается собрать группу
+ * обратно в том же порядке (настройка `combatRegather`).
+ */
+
+import { MODULE_ID } from './main.js';
+import { PartySocket } from './socket.js';
+
+export class PartyCombat {
+
+    /**
+     * Токен группы добавляют в бой (хук preCreateCombatant)
+     * @param {Combatant} combatant
+     * @param {Object} options
+     * @returns {boolean|void} - false отменяет добавление токена группы
+     */
+    static onPreCreateCombatant(combatant, options) {
+        if (options.groupPovuxaKeep || game.settings.get(MODULE_ID, 'combatDisperse') !== 'add') return;
+
+        const tokenDoc = combatant.token;
+        if (!tokenDoc?.getFlag(MODULE_ID, 'isPartyToken') || tokenDoc.parent !== canvas.scene || !tokenDoc.object) return;
+
+        // Хук синхронный — расходимся уже после отмены
+        const combat = combatant.parent;
+        setTimeout(() => this.joinCombat(combat, tokenDoc.object), 0);
+        return false;
+    }
+
+    /**
+     * Бой начался (хук combatStart): разослать группы, уже попавшие в трекер
+     * @param {Combat} combat
+     */
+    static async onCombatStart(combat) {
+        if (game.settings.get(MODULE_ID, 'combatDisperse') !== 'start') return;
+
+        const partyTokens = combat.combatants
+            .map(c => c.token)
+            .filter(doc => doc?.getFlag(MODULE_ID, 'isPartyToken') && doc.parent === canvas.scene && doc.object)
+            .map(doc => doc.object);
+
+        for (const partyToken of partyTokens) {
+            await this.joinCombat(combat, partyToken);
+        }
+    }
+
+    /**
+     * Ввести группу в бой: спросить про внезапность и передать ГМу (или выполнить)
+     * @param {Combat} combat
+     * @param {Token} partyToken
+     * @param {Object} [options]
+     * @param {boolean} [options.surprised] - Застали врасплох (по умолчанию — спросить, если включено combatAskSurprise)
+     */
+    static async joinCombat(combat, partyToken, options = {}) {
+        let surprised = options.surprised ?? false;
+        if (options.surprised === undefined && game.settings.get(MODULE_ID, 'combatAskSurprise')) {
+            surprised = await this._askSurprised(partyToken);
+            if (surprised === null) return;
+        }
+
+        if (PartySocket.shouldRelay()) {
+            await PartySocket.request('joinCombat', {
+                partyTokenId: partyToken.id,
+                combatId: combat.id,
+                surprised
+            });
+            return;
+        }
+
+        await this.enterCombat(combat, partyToken, { surprised });
+    }
+
+    /**
+     * ГМ: запомнить расстановку, распустить группу и добавить участников в бой
+     * @param {Combat} combat
+     * @param {Token} partyToken
+     * @param {Object} [options]
+     * @param {boolean} [options.surprised] - Экстренное рассеивание вместо шаблона
+     */
+    static async enterCombat(combat, partyToken, { surprised = false } = {}) {
+        const manager = game.groupPovuxa.manager;
+        const tokenDoc = partyToken.document;
+        const scene = tokenDoc.parent;
+        const members = tokenDoc.getFlag(MODULE_ID, 'members') || [];
+        const partyId = tokenDoc.getFlag(MODULE_ID, 'partyId') ?? tokenDoc.id;
+
+        await combat.setFlag(MODULE_ID, `parties.${partyId}`, {
+            name: tokenDoc.getFlag(MODULE_ID, 'partyName') ?? tokenDoc.name,
+            formation: tokenDoc.getFlag(MODULE_ID, 'formation') ?? null,
+            members: members.map(({ tokenId, actorId, name, order, role, gridPos }) => ({ tokenId, actorId, name, order, role, gridPos }))
+        });
+
+        // Токен группы уходит из трекера вместе с группой
+        const partyCombatants = combat.combatants.filter(c => c.tokenId === tokenDoc.id).map(c => c.id);
+        if (partyCombatants.length > 0) await combat.deleteEmbeddedDocuments('Combatant', partyCombatants);
+
+        if (surprised) {
+            await manager.emergencyScatter(partyToken);
+        } else {
+            // Шаблон боя заменяет расстановку группы (пусто — расходится как обычно)
+            const formation = game.settings.get(MODULE_ID, 'combatFormation');
+            await manager.disperseParty(partyToken, formation ? { formation } : {});
+        }
+
+        // Участники возвращаются с теми же ID токенов
+        const combatants = members
+            .map(m => scene.tokens.get(m.tokenId))
+            .filter(doc => doc && !doc.getFlag(MODULE_ID, 'parked') && !combat.combatants.some(c => c.tokenId === doc.id))
+            .map(doc => ({ tokenId: doc.id, sceneId: scene.id, actorId: doc.actorId, hidden: doc.hidden }));
+
+        if (combatants.length > 0) {
+            await combat.createEmbeddedDocuments('Combatant', combatants, { groupPovuxaKeep: true });
+        }
+    }
+
+    /**
+     * Бой окончен (хук deleteCombat, только активный ГМ): предложить собрать группы обратно
+     * @param {Combat} combat
+     */
+    static async onDeleteCombat(combat) {
+        if (!game.settings.get(MODULE_ID, 'combatRegather')) return;
+
+        const parties = Object.values(combat.getFlag(MODULE_ID, 'parties') ?? {});
+        if (parties.length === 0 || (combat.scene && combat.scene !== canvas.scene)) return;
+
+        for (const party of parties) {
+            const members = [...party.members].sort((a, b) => a.order - b.order);
+            const tokens = members
+                .map(m => canvas.tokens.get(m.tokenId))
+                .filter(t => t && !t.document.getFlag(MODULE_ID, 'parked') && !t.document.getFlag(MODULE_ID, 'isPartyToken'));
+            if (tokens.length < 2) continue;
+
+            const names = tokens.map(t => `<li>${Handlebars.escapeExpression(t.name)}</li>`).join('');
+            const confirmed = await foundry.applications.api.DialogV2.confirm({
+                window: { title: game.i18n.localize('GROUP_POVUXA.Combat.RegatherTitle') },
+                content: `<p>${game.i18n.format('GROUP_POVUXA.Combat.RegatherConfirm', {
+                    name: Handlebars.escapeExpression(party.name)
+                })}</p><ul>${names}</ul>`,
+                rejectClose: false
+            });
+            if (!confirmed) continue;
+
+            await game.groupPovuxa.manager.gatherParty(tokens, {
+                name: party.name,
+                formation: party.formation ?? undefined,
+                initialPositions: members
+                    .filter(m => m.gridPos && tokens.some(t => t.id === m.tokenId))
+                    .map(m => ({ tokenId: m.tokenId, gridPos: m.gridPos })),
+                roles: Object.fromEntries(members.map(m => [m.tokenId, m.role]))
+            });
+        }
+    }
+
+    /**
+     * Спросить, застали ли группу врасплох
+     * @param {Token} partyToken
+     * @returns {Promise<boolean|null>} - null — диалог закрыт
+     * @private
+     */
+    static async _askSurprised(partyToken) {
+        const name = Handlebars.escapeExpression(partyToken.document.getFlag(MODULE_ID, 'partyName') ?? partyToken.name);
+        return foundry.applications.api.DialogV2.wait({
+            window: { title: game.i18n.localize('GROUP_POVUXA.Combat.Title') },
+            content: `<p>${game.i18n.format('GROUP_POVUXA.Combat.SurpriseQuestion', { name })}</p>`,
+            buttons: [
+                {
+                    action: 'formation',
+                    label: game.i18n.localize('GROUP_POVUXA.Combat.Formation'),
+                    icon: 'fas fa-expand-arrows-alt',
+                    default: true,
+                    callback: () => false
+                },
+                {
+                    action: 'surprised',
+                    label: game.i18n.localize('GROUP_POVUXA.Combat.Surprised'),
+                    icon: 'fas fa-bolt',
+                    callback: () => true
+                }
+            ],
+            rejectClose: false
+        });
+    }
+}
@@ -0,0 +1,292 @@
+/**
+ * PartyDistribution — урон и эффекты, попавшие в токен группы
+ *
+ * За токеном группы стоит технический актёр без характеристик, поэтому
+ * урон и эффекты перехватываются и достаются участникам:
+ * - эффекты и состояния — preCreateActiveEffect на актёре группы;
+ * - урон — снижение хитов по пути `hpAttribute` (preUpdateActor)
+ *   или хук системы (см. integrations/dnd5e.js).
+ * Кому достаётся — настройка `distributionMode`: все участники, случайный,
+ * участник на месте N в походном порядке или первая шеренга по gridPos.
+ * Итог — карточка в чате.
+ */
+
+import { MODULE_ID } from './main.js';
+import { PartySocket } from './socket.js';
+import { PartyStatusSync } from './party-status-sync.js';
+
+export class PartyDistribution {
+
+    static MODES = ['all', 'random', 'slot', 'front'];
+
+    /**
+     * Нанести урон актёру участника (отрицательный — лечение).
+     * Интеграции систем подменяют функцию, чтобы учесть временные хиты и сопротивления:
+     * details — исходный урон в формате системы (см. interceptDamage), результат — сколько
+     * урона участник получил на самом деле (если функция его не вернула — amount).
+     * @type {(actor: Actor, amount: number, details?: Object|null) => Promise<number|void>}
+     */
+    static applyDamage = (actor, amount) => PartyDistribution._updateHitPoints(actor, amount);
+
+    /**
+     * Распределить урон и эффекты между участниками группы
+     * @param {Token} partyToken
+     * @param {Object} payload
+     * @param {number} [payload.damage] - Урон (отрицательный — лечение)
+     * @param {Object} [payload.damageDetails] - Исходный урон в формате системы (см. interceptDamage)
+     * @param {Object[]} [payload.effects] - Данные ActiveEffect
+     * @param {Object} [options]
+     * @param {'all'|'random'|'slot'|'front'} [options.mode] - По умолчанию — настройка distributionMode
+     * @param {number} [options.slot] - Место в походном порядке (с 1), по умолчанию — настройка distributionSlot
+     * @param {Array<{member: Object, actor: Actor}>} [options.targets] - Уже выбранные цели (см. getTargets)
+     * @returns {Promise<Array<{member: Object, actor: Actor}>>} - Кому досталось
+     */
+    static async distribute(partyToken, { damage = 0, damageDetails = null, effects = [] } = {}, options = {}) {
+        if (!partyToken || (!damage && effects.length === 0)) return [];
+
+        const mode = this.MODES.includes(options.mode) ? options.mode : game.settings.get(MODULE_ID, 'distributionMode');
+        const slot = options.slot ?? game.settings.get(MODULE_ID, 'distributionSlot');
+
+        if (PartySocket.shouldRelay()) {
+            // ГМ принимает только ID состояний и сам собирает эффекты (см. fromStatuses)
+            await PartySocket.request('distribute', {
+                partyTokenId: partyToken.id,
+                damage,
+                damageDetails,
+                statuses: [...new Set(effects.flatMap(e => e.statuses ?? []))],
+                options: { mode, slot }
+            });
+            return [];
+        }
+
+        const targets = options.targets ?? this.getTargets(partyToken, mode, slot);
+        if (targets.length === 0) {
+            ui.notifications.warn(game.i18n.localize('GROUP_POVUXA.Notifications.NoDistributionTargets'));
+            return [];
+        }
+
+        const rows = [];
+        for (const { member, actor } of targets) {
+            // Сопротивления и иммунитеты у каждого свои — на карточке фактический урон
+            const dealt = damage ? await this.applyDamage(actor, damage, damageDetails) : 0;
+            const taken = Number.isFinite(dealt) ? dealt : damage;
+
+            const applied = [];
+            for (const data of effects) {
+                // Состояние уже есть — второй раз не вешаем
+                if (data.statuses?.length && data.statuses.every(s => actor.statuses.has(s))) continue;
+                const effectData = foundry.utils.deepClone(data);
+                const keepId = !!effectData._id && !actor.effects.has(effectData._id);
+                if (!keepId) delete effectData._id;
+                const [created] = await actor.createEmbeddedDocuments('ActiveEffect', [effectData], { keepId });
+                if (created) applied.push({ name: created.name, img: created.img });
+            }
+
+            rows.push({
+                name: member.name,
+                img: member.img ?? actor.img,
+                damage: taken ? Math.abs(taken) : null,
+                healing: taken < 0,
+                effects: applied
+            });
+        }
+
+        await this._postCard(partyToken, mode, slot, rows);
+        return targets;
+    }
+
+    /**
+     * Участники, которым достаётся урон или эффект
+     * @param {Token} partyToken
+     * @param {'all'|'random'|'slot'|'front'} mode
+     * @param {number} [slot=1] - Место в походном порядке (с 1) для режима slot
+     * @returns {Array<{member: Object, actor: Actor}>}
+     */
+    static getTargets(partyToken, mode, slot = 1) {
+        const members = [...(partyToken.document.getFlag(MODULE_ID, 'members') || [])]
+            .sort((a, b) => a.order - b.order)
+            .map(member => ({ member, actor: this.getMemberActor(member) }))
+            .filter(({ actor }) => actor);
+        if (members.length === 0) return [];
+
+        switch (mode) {
+            case 'random':
+                return [members[Math.floor(Math.random() * members.length)]];
+
+            case 'slot':
+                return [members[Math.clamp(slot - 1, 0, members.length - 1)]];
+
+            case 'front': {
+                // Первая шеренга — наименьший y в сетке расстановки («вперёд» = -y)
+                const placed = members.filter(({ member }) => member.gridPos);
+                if (placed.length === 0) return [members[0]];
+                const front = Math.min(...placed.map(({ member }) => member.gridPos.y));
+                return placed.filter(({ member }) => member.gridPos.y === front);
+            }
+
+            default:
+                return members;
+        }
+    }
+
+    /**
+     * Данные эффектов стандартных состояний (неизвестные ID пропускаются)
+     * @param {string[]} statusIds
+     * @returns {Promise<Object[]>}
+     */
+    static async fromStatuses(statusIds = []) {
+        if (!Array.isArray(statusIds)) return [];
+
+        const cls = getDocumentClass('ActiveEffect');
+        const effects = [];
+        for (const statusId of new Set(statusIds)) {
+            if (!CONFIG.statusEffects.some(s => s.id === statusId)) continue;
+            const effect = await cls.fromStatusEffect(statusId);
+            effects.push(effect.toObject());
+        }
+        return effects;
+    }
+
+    /**
+     * Актёр участника: спрятанного токена (у несвязанных токенов — свой) или из мира
+     * @param {Object} member
+     * @param {Scene} [scene=canvas.scene] - Сцена токена группы
+     * @returns {Actor|null}
+     */
+    static getMemberActor(member, scene = canvas.scene) {
+        const parked = scene?.tokens.get(member.tokenId);
+        if (parked?.getFlag(MODULE_ID, 'parked')) return parked.actor;
+
+        // Несвязанный токен без спрятанного документа — его актёра нет, мирового не трогаем
+        if (member.snapshot && !member.snapshot.actorLink) return null;
+        return game.actors.get(member.actorId) ?? null;
+    }
+
+    // ==========================================
+    // ПЕРЕХВАТ
+    // ==========================================
+
+    /**
+     * Эффект на актёре группы (хук preCreateActiveEffect)
+     * Синхронизируемые состояния остаются на токене группы (см. PartyStatusSync)
+     * @param {ActiveEffect} effect
+     * @param {Object} options
+     * @returns {boolean|void} - false отменяет эффект на актёре группы
+     */
+    static onPreCreateActiveEffect(effect, options) {
+        if (options.groupPovuxaSync || PartyStatusSync.getSyncedStatuses(effect).length > 0) return;
+
+        const partyToken = this._getPartyToken(effect.parent);
+        if (!partyToken) return;
+
+        const data = effect.toObject();
+        setTimeout(() => this.distribute(partyToken, { effects: [data] }), 0);
+        return false;
+    }
+
+    /**
+     * Хиты актёра группы меняются (хук preUpdateActor): разница — урон участникам
+     * @param {Actor} actor
+     * @param {Object} changes
+     * @returns {boolean|void} - false отменяет изменение хитов группы
+     */
+    static onPreUpdateActor(actor, changes) {
+        const path = `system.${game.settings.get(MODULE_ID, 'hpAttribute')}`;
+        const newValue = foundry.utils.getProperty(changes, `${path}.value`);
+        if (newValue === undefined) return;
+
+        const partyToken = this._getPartyToken(actor);
+        if (!partyToken) return;
+
+        // Временные хиты тоже поглощают урон
+        const oldTemp = Number(foundry.utils.getProperty(actor, `${path}.temp`)) || 0;
+        const newTemp = Number(foundry.utils.getProperty(changes, `${path}.temp`) ?? oldTemp) || 0;
+        const oldValue = Number(foundry.utils.getProperty(actor, `${path}.value`)) || 0;
+        const damage = (oldValue + oldTemp) - (Number(newValue) + newTemp);
+        if (!damage) return;
+
+        setTimeout(() => this.distribute(partyToken, { damage }), 0);
+        return false;
+    }
+
+    /**
+     * Урон, рассчитанный системой для актёра группы (для интеграций систем)
+     * @param {Actor} actor
+     * @param {number} amount
+     * @param {Object} [details] - Исходный урон в формате системы (сериализуемый), уходит в applyDamage:
+     *   так участникам достаются тип урона и его свойства, а не только число
+     * @returns {boolean} - true, если урон перехвачен и актёру группы не наносится
+     */
+    static interceptDamage(actor, amount, details = null) {
+        const partyToken = this._getPartyToken(actor);
+        if (!partyToken || !amount) return false;
+
+        setTimeout(() => this.distribute(partyToken, { damage: amount, damageDetails: details }), 0);
+        return true;
+    }
+
+    // ==========================================
+    // ВСПОМОГАТЕЛЬНЫЕ
+    // ==========================================
+
+    /**
+     * Токен группы, стоящий за актёром (несвязанный — свой токен, связанный — выбранный или первый)
+     * @param {Actor} actor
+     * @returns {Token|null}
+     * @private
+     */
+    static _getPartyToken(actor) {
+        if (!(actor instanceof Actor) || !actor.getFlag(MODULE_ID, 'isPartyActor')) return null;
+
+        const tokens = actor.isToken
+            ? [actor.token?.object]
+            : actor.getActiveTokens();
+        const partyTokens = tokens.filter(t => t?.document.getFlag(MODULE_ID, 'isPartyToken'));
+        return partyTokens.find(t => t.controlled) ?? partyTokens[0] ?? null;
+    }
+
+    /**
+     * Изменить хиты по пути hpAttribute (без учёта особенностей системы)
+     * @param {Actor} actor
+     * @param {number} amount - Урон (отрицательный — лечение)
+     * @private
+     */
+    static async _updateHitPoints(actor, amount) {
+        const path = `system.${game.settings.get(MODULE_ID, 'hpAttribute')}`;
+        const hp = foundry.utils.getProperty(actor, path);
+        if (!hp || typeof hp.value !== 'number') {
+            console.warn(`${MODULE_ID} | ${actor.name} has no hit points at ${path}`);
+            return;
+        }
+
+        // Урон сначала снимает временные хиты
+        const temp = Number(hp.temp) || 0;
+        const fromTemp = amount > 0 ? Math.min(temp, amount) : 0;
+        const max = Number.isFinite(hp.max) ? hp.max : Infinity;
+        const updates = { [`${path}.value`]: Math.clamp(hp.value - (amount - fromTemp), 0, max) };
+        if (fromTemp) updates[`${path}.temp`] = temp - fromTemp;
+
+        await actor.update(updates);
+    }
+
+    /**
+     * Карточка в чате: кому что досталось
+     * @private
+     */
+    static async _postCard(partyToken, mode, slot, rows) {
+        const tokenDoc = partyToken.document;
+        const content = await foundry.applications.handlebars.renderTemplate(
+            `modules/${MODULE_ID}/templates/distribution-card.hbs`,
+            {
+                party: tokenDoc.getFlag(MODULE_ID, 'partyName') ?? tokenDoc.name,
+                mode: game.i18n.format(`GROUP_POVUXA.Distribution.Modes.${mode}`, { slot }),
+                rows
+            }
+        );
+
+        await ChatMessage.create({
+            speaker: ChatMessage.getSpeaker({ token: tokenDoc }),
+            content
+        });
+    }
+}
@@ -12,12 +12,24 @@
 import { MODULE_ID } from './main.js';
 import { TokenPlacer } from './token-placer.js';
 import { FormationPresets } from './formation-presets.js';
+import { GridGeometry } from './grid-geometry.js';
+import { PartySocket } from './socket.js';
+import { PartyAnimations } from './animations.js';
+import { PartyStatusSync } from './party-status-sync.js';
 
 export class PartyManager {
 
+    // Роли, которые при роспуске встают отдельно от группы:
+    // настройка дистанции (в клетках) и сторона (1 = впереди, -1 = позади)
+    static ROLE_PLACEMENT = {
+        scout: { setting: 'scoutDistance', side: 1 },
+        rearguard: { setting: 'rearguardDistance', side: -1 }
+    };
+
+
     constructor() {
-        // Кэш текущей группы (для быстрого доступа)
-        this._partyCache = null;
+        // Кэш групп сцены (для быстрого доступа): partyId -> { partyId, name, partyTokenId, members }
+        this._partyCache = new Map();
     }
 
     // ==========================================
@@ -27,7 +39,13 @@ export class PartyManager {
     /**
      * Собрать выбранные токены в группу
      * @param {Token[]} tokens - Массив токенов для сбора
-     * @param {Object} options - Опции (initialPositions и т.д.)
+     * @param {Object} options - Опции (initialPositions, name и т.д.)
+     * @param {string} [options.name] - Название группы (по умолчанию «Группа N»)
+     * @param {boolean} [options.animate] - Анимировать сбор (по умолчанию — настройка enableAnimations)
+     * @param {{x: number, y: number}} [options.center] - Точка сбора (по умолчанию — средняя точка токенов)
+     * @param {Object<string, string>} [options.roles] - tokenId -> роль (по умолчанию первый — ведущий)
+     * @param {string} [options.formation] - Шаблон роспуска группы (по умолчанию — настройка defaultFormation);
+     *   без initialPositions задаёт и расстановку участников
      * @returns {Token} - Созданный токен группы
      */
     async gatherParty(tokens, options = {}) {
@@ -37,7 +55,10 @@ export class PartyManager {
         }
 
         // Фильтруем — нельзя включать токены групп в другую группу
-        const validTokens = tokens.filter(t => !t.document.getFlag(MODULE_ID, 'isPartyToken'));
+        // (и спрятанных участников уже существующей группы)
+        const validTokens = tokens.filter(t =>
+            !t.document.getFlag(MODULE_ID, 'isPartyToken') && !t.document.getFlag(MODULE_ID, 'parked')
+        );
         if (validTokens.length === 0) {
             ui.notifications.warn(game.i18n.localize('GROUP_POVUXA.Notifications.CannotGroupGroups'));
             return null;
@@ -47,6 +68,19 @@ export class PartyManager {
         }
         tokens = validTokens;
 
+        // Игрок: выполняет активный ГМ
+        if (PartySocket.shouldRelay()) {
+            this._partyCache.clear();
+            // Анимации — настройка клиента игрока, а не ГМа
+            const result = await PartySocket.request('gatherParty', {
+                tokenIds: tokens.map(t => t.id),
+                options: { ...options, animate: PartyAnimations.isEnabled(options) }
+            });
+            const partyToken = result?.partyTokenId ? canvas.tokens.get(result.partyTokenId) : null;
+            partyToken?.control({ releaseOthers: true });
+            return partyToken ?? null;
+        }
+
         console.log(`${MODULE_ID} | Собираем группу из ${tokens.length} токенов`);
         if (options.initialPositions) {
             console.log(`${MODULE_ID} | Получены начальные позиции (Draft) для ${options.initialPositions.length} токенов`);
@@ -55,7 +89,7 @@ export class PartyManager {
         }
 
         // 1. Вычисляем центр группы (средняя точка)
-        const center = this._calculateCenter(tokens);
+        const center = options.center ? { x: options.center.x, y: options.center.y } : this._calculateCenter(tokens);
 
         // 2. Сохраняем информацию об участниках
         let occupiedGridSlots = new Set();
@@ -70,44 +104,18 @@ export class PartyManager {
                 }
             }
 
-            return {
-                tokenId: token.id,
-                actorId: token.actor?.id,
-                name: token.name,
-                img: token.document.texture.src,
+            return this._buildMemberData(token, {
                 order: index,
-                role: index === 0 ? 'leader' : 'member',
-                gridPos: gridPos, // May be null initially
-                originalPosition: { x: token.x, y: token.y },
-                // Preserve dimensions and scale
-                width: token.document.width,
-                height: token.document.height,
-                scaleX: token.document.texture.scaleX,
-                scaleY: token.document.texture.scaleY,
-                // Preserve orientation, elevation, disposition
-                rotation: token.document.rotation ?? 0,
-                elevation: token.document.elevation ?? 0,
-                disposition: token.document.disposition ?? CONST.TOKEN_DISPOSITIONS.FRIENDLY,
-                // Preserve vision and light
-                vision: {
-                    enabled: token.document.sight.enabled,
-                    range: token.document.sight.range,
-                    visionMode: token.document.sight.visionMode
-                },
-                light: {
-                    dim: token.document.light.dim,
-                    bright: token.document.light.bright,
-                    color: token.document.light.color,
-                    animation: token.document.light.animation
-                }
-            };
+                role: options.roles?.[token.id] ?? (index === 0 ? 'leader' : 'member'),
+                gridPos: gridPos // May be null initially
+            });
         });
 
         // 2.1. Заполняем пропуски в gridPos
         // ЛОГИКА: Если токен не имеет позиции (не из черновика), пытаемся определить её по положению на сцене
         // относительно ЦЕНТРА всех токенов.
 
-        const gridSize = canvas.grid.size;
+        const { sizeX, sizeY } = canvas.grid;
 
         // Вспомним центр (вычислен выше)
         // const center = this._calculateCenter(tokens); 
@@ -115,25 +123,18 @@ export class PartyManager {
         members.forEach(member => {
             if (!member.gridPos) {
                 // Если позиции нет в черновике — вычисляем из текущих координат
-                // Относительные координаты
-                const dx = member.originalPosition.x + (member.width * gridSize / 2) - center.x;
-                const dy = member.originalPosition.y + (member.height * gridSize / 2) - center.y;
+                // Центр токена участника
+                const memberCenter = {
+                    x: member.originalPosition.x + (member.width * sizeX / 2),
+                    y: member.originalPosition.y + (member.height * sizeY / 2)
+                };
 
-                // Переводим в клетки (округляем)
+                // Переводим в клетки (на гексах — осевые координаты)
                 // Сетка: X вправо, Y вниз.
-                let gx = Math.round(dx / gridSize);
-                let gy = Math.round(dy / gridSize);
-
-                // Ограничиваем сеткой 5x5 (от -2 до 2)
-                // Если не влезает — будет обработано дальше спиралью? 
-                // Или просто прижимаем к краю?
-                // Пользователь просил "токены должны находиться на этом расстоянии".
-                // Если они далеко, мы попробуем сохранить "направление", но прижать к 5x5.
-
-                if (gx < -2) gx = -2;
-                if (gx > 2) gx = 2;
-                if (gy < -2) gy = -2;
-                if (gy > 2) gy = 2;
+                // Если токен далеко — сохраняем "направление", но прижимаем к сетке расстановки.
+                const { x: gx, y: gy } = GridGeometry.clampToArrangement(
+                    GridGeometry.pointToGridPos(memberCenter, center)
+                );
 
                 const key = `${gx},${gy}`;
 
@@ -164,21 +165,33 @@ export class PartyManager {
             }
         });
 
+        // 2.3. Шаблон задан явно (точка сбора, состав без расстановки) — он и задаёт расстановку
+        if (options.formation && !options.initialPositions?.length && FormationPresets.get(options.formation)) {
+            members.forEach(member => { member.gridPos = null; });
+            FormationPresets.applyToMembers(members, options.formation);
+        }
+
         // 3. Compute best vision and light for party token
         const bestVision = this._calculateBestVision(tokens);
         const combinedLight = this._calculateCombinedLight(tokens);
 
         // 4. ANIMATION: Slide tokens toward center before gathering
-        await this._animateGather(tokens, center);
+        await this._animateGather(tokens, center, options);
+
+        // 5. Create party token (each party gets its own ID and name)
+        const partyId = foundry.utils.randomID();
+        const name = options.name?.trim() || this._getDefaultPartyName();
+        const formation = options.formation ?? game.settings.get(MODULE_ID, 'defaultFormation');
+        const partyToken = await this._createPartyToken(center, members, bestVision, combinedLight, { partyId, name, formation });
 
-        // 5. Create party token
-        const partyToken = await this._createPartyToken(center, members, bestVision, combinedLight);
+        // 6. Hide (or delete, in legacy mode) original tokens — already at center after animation
+        await this._hideOriginalTokens(tokens, partyToken.id);
 
-        // 6. Delete original tokens (already at center after animation)
-        await this._hideOriginalTokens(tokens);
+        // Состояния участников видны на токене группы
+        await PartyStatusSync.syncFromMembers(partyToken.document);
 
         // 6. Сохраняем состояние во флаги сцены
-        await this._savePartyState(partyToken.id, members);
+        await this._savePartyState(partyToken, members);
 
         // 7. Уведомляем пользователя
         ui.notifications.info(
@@ -186,7 +199,7 @@ export class PartyManager {
         );
 
         // 8. Обновляем кэш
-        this._partyCache = { partyTokenId: partyToken.id, members };
+        this._cacheParty(partyToken, members);
 
         // 9. Выбираем токен группы (чтобы обновилась панель)
         if (partyToken.object) {
@@ -196,6 +209,87 @@ export class PartyManager {
         return partyToken;
     }
 
+    /**
+     * «Собраться вокруг меня»: собрать группу из союзников рядом с ведущим.
+     * Ведущий встаёт в клетку (0,0), остальные — на свои места относительно него.
+     * @param {Token} leader - Ведущий
+     * @param {Object} [options] - Опции gatherParty, а также:
+     * @param {number} [options.radius] - Радиус поиска в клетках (по умолчанию — настройка gatherRadius)
+     * @param {boolean} [options.confirm=true] - Спросить подтверждение со списком участников
+     * @returns {Promise<Token|null>} - Созданный токен группы
+     */
+    async gatherAround(leader, options = {}) {
+        if (!leader || leader.document.getFlag(MODULE_ID, 'isPartyToken') || leader.document.getFlag(MODULE_ID, 'parked')) {
+            ui.notifications.warn(game.i18n.localize('GROUP_POVUXA.Notifications.GatherAroundNoLeader'));
+            return null;
+        }
+
+        const { radius, confirm = true, ...gatherOptions } = options;
+        const allies = this.findNearbyAllies(leader, { radius });
+        if (allies.length === 0) {
+            ui.notifications.warn(game.i18n.localize('GROUP_POVUXA.Notifications.GatherAroundNoAllies'));
+            return null;
+        }
+
+        if (confirm) {
+            const names = allies.map(t => `<li>${Handlebars.escapeExpression(t.name)}</li>`).join('');
+            const confirmed = await foundry.applications.api.DialogV2.confirm({
+                window: { title: game.i18n.localize('GROUP_POVUXA.Actions.GatherAround') },
+                content: `<p>${game.i18n.format('GROUP_POVUXA.Prompts.GatherAroundConfirm', {
+                    leader: Handlebars.escapeExpression(leader.name)
+                })}</p><ul>${names}</ul>`,
+                rejectClose: false,
+                modal: true
+            });
+            if (!confirmed) return null;
+        }
+
+        // Центр сбора — ведущий: gatherParty считает места относительно него, сам он первый и в (0,0)
+        return this.gatherParty([leader, ...allies], { ...gatherOptions, center: leader.center });
+    }
+
+    /**
+     * Союзники рядом с токеном: дружественные или принадлежащие игрокам,
+     * в пределах радиуса и достижимые без пересечения стен
+     * @param {Token} leader
+     * @param {Object} [options]
+     * @param {number} [options.radius] - Радиус в клетках (по умолчанию — настройка gatherRadius)
+     * @returns {Token[]} - Ближние первыми (без самого ведущего)
+     */
+    findNearbyAllies(leader, options = {}) {
+        const radius = options.radius ?? game.settings.get(MODULE_ID, 'gatherRadius');
+        const maxDistance = (radius + 0.5) * canvas.grid.size;
+        const { x: cx, y: cy } = leader.center;
+
+        const candidates = canvas.tokens.placeables.filter(token =>
+            token !== leader && this.isAlly(token)
+            && Math.hypot(token.center.x - cx, token.center.y - cy) <= maxDistance
+        );
+        if (candidates.length === 0) return [];
+
+        // Обход от ведущего не выходит за круг радиуса — путь в обход стены тоже должен в него уложиться
+        const area = { contains: (x, y) => Math.hypot(x - cx, y - cy) <= maxDistance };
+        const cells = Math.ceil(Math.PI * (radius + 1) ** 2);
+        const reachableSet = TokenPlacer.buildReachableSet(cx, cy, cells * 8, { area });
+
+        return candidates
+            .filter(token => TokenPlacer.getFootprintCells(token.document.x, token.document.y, token.document.width, token.document.height)
+                .some(cell => TokenPlacer.isReachable(reachableSet, cell.x, cell.y)))
+            .sort((a, b) => Math.hypot(a.center.x - cx, a.center.y - cy) - Math.hypot(b.center.x - cx, b.center.y - cy));
+    }
+
+    /**
+     * Союзник, которого можно позвать в группу: видимый дружественный
+     * или принадлежащий игроку токен, не группа и не спрятанный участник
+     * @param {Token} token
+     * @returns {boolean}
+     */
+    isAlly(token) {
+        const doc = token.document;
+        if (doc.hidden || doc.getFlag(MODULE_ID, 'isPartyToken') || doc.getFlag(MODULE_ID, 'parked')) return false;
+        return doc.disposition === CONST.TOKEN_DISPOSITIONS.FRIENDLY || !!token.actor?.hasPlayerOwner;
+    }
+
     // ==========================================
     // РОСПУСК ГРУППЫ
     // ==========================================
@@ -204,6 +298,11 @@ export class PartyManager {
      * Распустить группу вокруг токена
      * @param {Token} partyToken - Токен группы
      * @param {Object} options - Опции (formation, направление и т.д.)
+     * @param {number} [options.direction] - Направление «вперёд» в градусах (по умолчанию — направление движения)
+     * @param {boolean} [options.animate] - Анимировать роспуск (по умолчанию — настройка enableAnimations)
+     * @param {{x: number, y: number}} [options.center] - Другой центр расстановки (см. planDisperse)
+     * @param {Drawing|MeasuredTemplate|Region|string} [options.area] - Целевая область (см. planDisperse)
+     * @param {Array<{x: number, y: number}>} [options.positions] - Готовые места участников (top-left, по порядку)
      */
     async disperseParty(partyToken, options = {}) {
         if (!partyToken) {
@@ -211,6 +310,24 @@ export class PartyManager {
             return;
         }
 
+        const area = options.area ? TokenPlacer.resolveArea(options.area) : null;
+        if (options.area && !area) {
+            ui.notifications.warn(game.i18n.localize('GROUP_POVUXA.Notifications.AreaNotFound'));
+            return;
+        }
+
+        if (PartySocket.shouldRelay()) {
+            this._partyCache.clear();
+            await PartySocket.request('disperseParty', {
+                partyTokenId: partyToken.id,
+                // Область передаётся по UUID — объекты канваса не сериализуются
+                options: { ...options, area: area?.uuid, animate: PartyAnimations.isEnabled(options) }
+            });
+            return;
+        }
+
+        const partyId = this._getPartyId(partyToken);
+
         // 1. Получаем сохранённых участников
         const members = partyToken.document.getFlag(MODULE_ID, 'members') || [];
         if (members.length === 0) {
@@ -236,134 +353,19 @@ export class PartyManager {
         try {
             console.log(`${MODULE_ID} | Распускаем группу: ${members.length} участников`);
 
-            const hasGridPos = members.filter(m => m.gridPos).length;
-            console.log(`${MODULE_ID} | Участников с сохраненной позицией в сетке: ${hasGridPos}`);
-
-            const centerX = partyToken.x + (partyToken.w / 2);
-            const centerY = partyToken.y + (partyToken.h / 2);
-
-            // PRE-COMPUTE reachable cell set via wall-safe BFS
-            // This is the single source of truth for "can a token be placed here?"
-            const reachableSet = TokenPlacer.buildReachableSet(centerX, centerY, 200);
-
-            // Arrays for positions
-            const finalPositions = new Array(members.length).fill(null);
-            const occupiedCoords = new Set();
-            const membersWithoutSpot = [];
-
-            // 2. Process grid-based placement
-            members.forEach((member, index) => {
-                if (member.gridPos) {
-                    const gridSize = canvas.grid.size;
-                    const gx = member.gridPos?.x ?? 0;
-                    const gy = member.gridPos?.y ?? 0;
-                    const baseDx = gx * gridSize;
-                    const baseDy = gy * gridSize;
-
-                    // Rotate by token rotation
-                    const angle = partyToken.document.rotation || 0;
-                    const rad = Math.toRadians(angle);
-                    const cos = Math.cos(rad);
-                    const sin = Math.sin(rad);
-
-                    const rotX = baseDx * cos - baseDy * sin;
-                    const rotY = baseDx * sin + baseDy * cos;
-
-                    // Slot center in world coordinates
-                    const slotCenterX = centerX + rotX;
-                    const slotCenterY = centerY + rotY;
-
-                    const w = member.width ?? 1;
-                    const h = member.height ?? 1;
-
-                    const targetTLX = slotCenterX - (canvas.grid.size * w) / 2;
-                    const targetTLY = slotCenterY - (canvas.grid.size * h) / 2;
-
-                    const snapped = TokenPlacer.snapToTopLeft(targetTLX, targetTLY);
-
-                    // Leader (0,0) placed exactly at party token position
-                    if (gx === 0 && gy === 0) {
-                        snapped.x = partyToken.x;
-                        snapped.y = partyToken.y;
-                    }
-
-                    // Safety check for snap failure
-                    if (snapped.x === undefined || snapped.y === undefined || isNaN(snapped.x) || isNaN(snapped.y)) {
-                        snapped.x = partyToken.x;
-                        snapped.y = partyToken.y;
-                    }
-
-                    const snappedCenterX = snapped.x + (canvas.grid.size * w) / 2;
-                    const snappedCenterY = snapped.y + (canvas.grid.size * h) / 2;
-
-                    // VALIDATE via BFS reachability set — the only reliable wall check
-                    const cellKey = `${Math.round(snappedCenterX)},${Math.round(snappedCenterY)}`;
-                    const isReachable = reachableSet.has(cellKey);
-                    const isOccupied = occupiedCoords.has(`${snapped.x},${snapped.y}`);
-                    const isLeaderSpot = (gx === 0 && gy === 0);
-
-                    if ((isReachable && !isOccupied) || isLeaderSpot) {
-                        finalPositions[index] = snapped;
-                        occupiedCoords.add(`${snapped.x},${snapped.y}`);
-                    } else {
-                        membersWithoutSpot.push(index);
-                    }
-                } else {
-                    membersWithoutSpot.push(index);
-                }
-            });
-
-            // 3. Если есть участники без мест — ищем свободные через BFS
-            if (membersWithoutSpot.length > 0) {
-                // Находим с запасом
-                const needed = membersWithoutSpot.length;
-                const validPositions = TokenPlacer.findValidPositions(
-                    centerX,
-                    centerY,
-                    needed + occupiedCoords.size + 2, // Запас на занятые нами же клетки
-                    { excludeTokens: [partyToken.id] }
-                );
-
-                // Фильтруем те, что мы уже заняли сеткой
-                const available = validPositions.filter(p => !occupiedCoords.has(`${p.x},${p.y}`));
-
-                // Distribute — snap BFS results to grid top-left
-                membersWithoutSpot.forEach((memberIndex, i) => {
-                    if (i < available.length) {
-                        const snapped = TokenPlacer.snapToTopLeft(available[i].x, available[i].y);
-                        finalPositions[memberIndex] = snapped;
-                        occupiedCoords.add(`${snapped.x},${snapped.y}`);
-                    } else {
-                        // Wall-aware fallback: find ANY valid nearby position via separate BFS
-                        const emergency = TokenPlacer.findValidPositions(centerX, centerY, occupiedCoords.size + 5, {
-                            excludeTokens: [partyToken.id]
-                        });
-                        const emergencyAvail = emergency.filter(p => !occupiedCoords.has(`${p.x},${p.y}`));
-                        if (emergencyAvail.length > 0) {
-                            const snapped = TokenPlacer.snapToTopLeft(emergencyAvail[0].x, emergencyAvail[0].y);
-                            finalPositions[memberIndex] = snapped;
-                            occupiedCoords.add(`${snapped.x},${snapped.y}`);
-                        } else {
-                            // Absolute last resort — stack on party token position
-                            finalPositions[memberIndex] = { x: partyToken.x, y: partyToken.y };
-                        }
-                    }
-                });
-            }
-
-            let formattedPositions = finalPositions;
-
-            // --- Старая логика (если gridPos вообще не использовался) ---
-            const hasAnyGridPos = members.some(m => m.gridPos);
-            if (!hasAnyGridPos) {
-                const formation = options.formation || game.settings.get(MODULE_ID, 'defaultFormation');
-                const direction = partyToken.document.rotation || 0;
-
-                // Берем позиции из BFS
-                const validRef = TokenPlacer.findValidPositions(
-                    centerX, centerY, members.length, { excludeTokens: [partyToken.id] }
-                );
-                formattedPositions = FormationPresets.apply(formation, validRef, direction);
+            // 2-3. Позиции участников: готовые (режим расстановки) или рассчитанные заново
+            const plan = options.positions?.length === members.length
+                ? null
+                : this.planDisperse(partyToken, options);
+            const formattedPositions = plan ? plan.positions : options.positions;
+
+            // Узкий проход: сообщаем, каким шаблоном группа встала на самом деле
+            if (plan?.fit && plan.fit.formation !== plan.fit.requestedFormation) {
+                ui.notifications.info(game.i18n.format('GROUP_POVUXA.Notifications.CorridorFormation', {
+                    formation: game.i18n.localize(FormationPresets.FORMATIONS[plan.fit.formation]?.name ?? plan.fit.formation),
+                    requested: game.i18n.localize(FormationPresets.get(plan.fit.requestedFormation)?.name ?? plan.fit.requestedFormation),
+                    width: plan.fit.freeWidth
+                }));
             }
 
             // 4. Rollback check: if >50% of members have no valid position, abort
@@ -390,19 +392,21 @@ export class PartyManager {
                 console.warn(`${MODULE_ID} | Error deleting party token:`, e);
             }
 
+            await this._deletePartyActor(partyToken.document);
+
             // 8. ANIMATION: Slide restored tokens from party position to final positions
-            if (restoredTokens && restoredTokens.length > 0) {
-                await this._animateDisperse(restoredTokens, formattedPositions);
+            if (restoredTokens?.some(Boolean)) {
+                await this._animateDisperse(restoredTokens, formattedPositions, options);
             }
 
             // 9. Clear scene flags
-            await this._clearPartyState();
+            await this._clearPartyState(partyId);
 
             // 10. Notify user
             ui.notifications.info(game.i18n.localize('GROUP_POVUXA.Notifications.DisperseSuccess'));
 
             // 11. Clear cache
-            this._partyCache = null;
+            this._partyCache.delete(partyId);
 
         } catch (e) {
             console.error(`${MODULE_ID} | CRITICAL ERROR during disperseParty:`, e);
@@ -413,6 +417,156 @@ export class PartyManager {
         }
     }
 
+    /**
+     * Рассчитать места участников при роспуске, ничего не меняя на сцене.
+     * Используется disperseParty и режимом расстановки (DeployPreview).
+     *
+     * @param {Token} partyToken - Токен группы
+     * @param {Object} [options]
+     * @param {string} [options.formation] - Шаблон вместо сохранённой расстановки (по умолчанию — шаблон группы,
+     *   а при сохранённых gridPos — они)
+     * @param {number} [options.direction] - Направление «вперёд» (по умолчанию — направление движения)
+     * @param {{x: number, y: number}} [options.center] - Другой центр расстановки (перенесённый якорь)
+     * @param {Drawing|MeasuredTemplate|Region|string} [options.area] - Расставить только внутри области
+     *   (см. TokenPlacer.resolveArea): ведущий — у точки входа, ближайшей к центру, строй уходит вглубь
+     * @param {boolean} [options.corridor=true] - false — не заменять шаблон в узком проходе
+     * @param {Array} [options.members] - Другие участники вместо флага members (режим «за ведущим»)
+     * @returns {Object} - { members, positions, direction, fit, center, area, reachableSet, spacing, excludeTokens };
+     *   positions — top-left по порядку участников (null — места не нашлось),
+     *   fit — { formation, requestedFormation, freeWidth, trail, direction, score, fits } (FormationPresets.applyBestFit;
+     *   расстановка по gridPos подбирается так же); formation отличается от requestedFormation, если сработал коридор,
+     *   trail — «Змейка» встала по следу группы (score тогда null),
+     *   остальное — для проверки мест (см. TokenPlacer.isFootprintReachable)
+     */
+    planDisperse(partyToken, options = {}) {
+        const members = options.members ?? (partyToken.document.getFlag(MODULE_ID, 'members') || []);
+
+        // Без сетки участники упаковываются по диаметру самого крупного токена
+        const spacing = TokenPlacer.getPackingSpacing(members);
+
+        // Позиция документа: токен может ещё доигрывать анимацию движения
+        const originX = options.center?.x ?? partyToken.document.x + (partyToken.w / 2);
+        const originY = options.center?.y ?? partyToken.document.y + (partyToken.h / 2);
+
+        // Целевая область: центр расстановки — там, где группа в неё входит
+        const area = options.area ? TokenPlacer.resolveArea(options.area) : null;
+        const entry = area ? TokenPlacer.findAreaEntry(area, originX, originY, { spacing }) : null;
+
+        const centerX = entry?.x ?? originX;
+        const centerY = entry?.y ?? originY;
+        const direction = options.direction
+            ?? (entry ? this._getAreaFacing(area, entry) : null)
+            ?? this.getMovementDirection(partyToken);
+
+        // Разведчики и арьергард отходят от группы — BFS должен до них дотянуться
+        const roleReach = Math.max(
+            game.settings.get(MODULE_ID, 'scoutDistance'),
+            game.settings.get(MODULE_ID, 'rearguardDistance')
+        );
+
+        // PRE-COMPUTE reachable cell set via wall-safe BFS
+        // This is the single source of truth for "can a token be placed here?"
+        // (в области — только её клетки; BFS проверяет и повторы, отсюда запас)
+        const areaCells = entry ? TokenPlacer.getAreaPoints(area, spacing).length * 8 : 0;
+        const reachableSet = TokenPlacer.buildReachableSet(
+            centerX, centerY, Math.max(200, (2 * roleReach + 3) ** 2, areaCells), { spacing, area: entry ? area : null }
+        );
+        // Без сетки достижимость допускает шаг в сторону — край области проверяем отдельно
+        const isInArea = (x, y, w, h) => !entry || TokenPlacer.isFootprintInArea(area, x, y, w, h);
+
+        // Спрятанные токены участников стоят на месте сбора — они не должны занимать клетки
+        const excludeTokens = [partyToken.id, ...members.map(m => m.tokenId)];
+
+        // Разведчики впереди, арьергард позади; кому не нашлось места — к основной группе
+        const rolePositions = this._placeRoleMembers(members, {
+            centerX, centerY, direction, reachableSet, occupiedSpots: [], excludeTokens, spacing, isInArea
+        });
+
+        // Шаблон группы: заданный явно или сохранённый на токене группы
+        const partyFormation = options.formation || partyToken.document.getFlag(MODULE_ID, 'formation');
+        const requestedFormation = partyFormation || game.settings.get(MODULE_ID, 'defaultFormation');
+
+        // Разведчики и арьергард уже стоят — шаблон строит остальных
+        const restIndices = members.map((m, i) => i).filter(i => !rolePositions.has(i));
+        const restMembers = restIndices.map(i => members[i]);
+
+        // Расстановка из сетки (gridPos) строится как шаблон: тот же подбор поворота и сдвига.
+        // Явно заданный шаблон (регион, бой) её заменяет; «Змейка» расстановку не держит —
+        // она разворачивается по следу группы
+        const useStored = !options.formation && partyFormation !== 'snake'
+            && restMembers.length > 0 && restMembers.every(m => m.gridPos);
+        const arrangement = useStored
+            ? FormationPresets.fromGridPositions(restMembers.map(m => m.gridPos))
+            : this._getCustomArrangement(restMembers, requestedFormation);
+
+        // В узком проходе широкий шаблон (или расстановка) вывалится за стены — берём шаблон для коридоров
+        const corridor = this._checkCorridor(arrangement ?? requestedFormation, restIndices.length, {
+            centerX, centerY, direction, reachableSet, spacing, enabled: options.corridor !== false
+        });
+        const formation = corridor?.formation ?? requestedFormation;
+        const layout = corridor?.formation ?? arrangement ?? requestedFormation;
+        const roleSpots = [...rolePositions.entries()].map(([i, p]) => ({
+            ...p, width: members[i].width ?? 1, height: members[i].height ?? 1
+        }));
+        const footprints = restMembers.map(m => ({ width: m.width ?? 1, height: m.height ?? 1 }));
+        const cellCount = footprints.reduce((sum, f) => sum + f.width * f.height, 0);
+
+        // Берем позиции из BFS (крупным участникам нужно больше клеток;
+        // запас — квадрат со стороной в длину строя: вытянутый шаблон или расстановка
+        // встают целиком, а у сдвинутого или повёрнутого есть из чего выбрать)
+        const validRef = TokenPlacer.findValidPositions(
+            centerX, centerY, (cellCount + roleSpots.length + 1) ** 2, { excludeTokens, spacing, area: entry ? area : null }
+        ).map(p => {
+            const { x, y } = TokenPlacer.snapFootprint(p.x, p.y);
+            return { ...p, x, y };
+        }).filter(p => !this._isSpotTaken(roleSpots, p));
+
+        // «Змейка» разворачивается назад по следу группы (если центр не переносили)
+        const trail = (layout === 'snake' && !options.center && !entry)
+            ? this._placeAlongTrail(restMembers, partyToken.document.getFlag(MODULE_ID, 'trail'), {
+                centerX, centerY, reachableSet, roleSpots, excludeTokens, spacing
+            })
+            : null;
+
+        // Шаблон резервирует все клетки крупных участников;
+        // без сетки он ставится как непрерывная фигура — проверяем каждую её точку.
+        // Поворот и сдвиг подбираются под стены; заданное направление и вход в область не вращаем
+        const placement = trail ?? FormationPresets.applyBestFit(layout, validRef, direction, {
+            rotate: options.direction === undefined && !entry,
+            footprints,
+            spacing,
+            isFree: (p, { width, height }) => !this._isSpotTaken(roleSpots, { ...p, width, height })
+                && TokenPlacer.isFootprintReachable(reachableSet, p.x, p.y, width, height, spacing)
+                && isInArea(p.x, p.y, width, height)
+                && !TokenPlacer.isFootprintOccupied(p.x, p.y, width, height, excludeTokens)
+        });
+        const positions = members.map((m, i) => rolePositions.get(i) ?? null);
+        restIndices.forEach((memberIndex, i) => {
+            positions[memberIndex] = placement.positions[i] ?? null;
+        });
+        const fit = {
+            formation,
+            requestedFormation,
+            freeWidth: corridor?.freeWidth ?? null,
+            trail: !!trail,
+            direction: trail ? direction : placement.direction,
+            score: trail ? null : placement.score,
+            fits: trail ? true : placement.fits
+        };
+
+        return {
+            members,
+            positions,
+            direction: fit.direction,
+            fit,
+            center: { x: centerX, y: centerY },
+            area: entry ? area : null,
+            reachableSet,
+            spacing,
+            excludeTokens
+        };
+    }
+
     // ==========================================
     // ЭКСТРЕННОЕ РАССЕИВАНИЕ
     // ==========================================
@@ -424,6 +578,14 @@ export class PartyManager {
     async emergencyScatter(partyToken) {
         if (!partyToken) return;
 
+        if (PartySocket.shouldRelay()) {
+            this._partyCache.clear();
+            await PartySocket.request('emergencyScatter', { partyTokenId: partyToken.id });
+            return;
+        }
+
+        const partyId = this._getPartyId(partyToken);
+
         const members = partyToken.document.getFlag(MODULE_ID, 'members') || [];
         if (members.length === 0) {
             console.warn(`${MODULE_ID} | emergencyScatter: no members found`);
@@ -433,14 +595,36 @@ export class PartyManager {
         const centerX = partyToken.x + (partyToken.w / 2);
         const centerY = partyToken.y + (partyToken.h / 2);
 
-        // Находим позиции
-        let positions = TokenPlacer.findValidPositions(centerX, centerY, members.length * 2);
+        // Находим позиции (с запасом на крупных участников)
+        const excludeTokens = [partyToken.id, ...members.map(m => m.tokenId)];
+        const cellCount = members.reduce((sum, m) => sum + (m.width ?? 1) * (m.height ?? 1), 0);
+        let candidates = TokenPlacer.findValidPositions(centerX, centerY, cellCount * 2, {
+            excludeTokens,
+            spacing: TokenPlacer.getPackingSpacing(members)
+        });
 
         // Перемешиваем случайно
-        positions = this._shuffleArray(positions).slice(0, members.length);
+        candidates = this._shuffleArray(candidates);
+
+        // Snap BFS results to grid top-left; крупные участники не перекрывают соседей и стены
+        const takenSpots = [];
+        const positions = members.map(member => {
+            const w = member.width ?? 1;
+            const h = member.height ?? 1;
+
+            for (const p of candidates) {
+                const { x, y } = TokenPlacer.snapFootprint(p.x, p.y, w, h);
+                const spot = { x, y, width: w, height: h };
+                if (this._isSpotTaken(takenSpots, spot)) continue;
+                if ((w > 1 || h > 1) && !TokenPlacer.isFootprintPlaceable(x, y, w, h, excludeTokens)) continue;
+
+                takenSpots.push(spot);
+                return { x, y };
+            }
 
-        // Snap BFS results to grid top-left
-        positions = positions.map(p => TokenPlacer.snapToTopLeft(p.x, p.y));
+            // Места не нашлось — остаётся на месте группы
+            return { x: partyToken.x, y: partyToken.y };
+        });
 
         // CRITICAL: Restore member tokens BEFORE deleting party token
         const restoredTokens = await this._restoreMembers(members, positions);
@@ -451,17 +635,184 @@ export class PartyManager {
         } catch (e) {
             console.warn(`${MODULE_ID} | Error deleting party token during scatter:`, e);
         }
+        await this._deletePartyActor(partyToken.document);
 
-        await this._clearPartyState();
-        this._partyCache = null;
+        await this._clearPartyState(partyId);
+        this._partyCache.delete(partyId);
 
         ui.notifications.info(game.i18n.localize('GROUP_POVUXA.Notifications.DisperseSuccess'));
     }
 
+    // ==========================================
+    // ПЕРЕХОД НА ДРУГУЮ СЦЕНУ
+    // ==========================================
+
+    /**
+     * Перенести группу на другую сцену: токен группы со списком участников,
+     * спрятанные токены участников и состояние во флагах сцен
+     * @param {Token} partyToken - Токен группы
+     * @param {Scene|string} scene - Сцена назначения (документ, ID или UUID)
+     * @param {Object} [options]
+     * @param {number} [options.x] - Куда встанет центр группы (по умолчанию — начальный вид сцены или её центр)
+     * @param {number} [options.y]
+     * @param {boolean} [options.disperse] - Распустить по прибытии (по умолчанию — настройка disperseOnArrival)
+     * @param {boolean} [options.view] - Переключиться на сцену назначения (только ГМ)
+     * @returns {Promise<TokenDocument|null>} - Токен группы на новой сцене
+     */
+    async moveToScene(partyToken, scene, options = {}) {
+        if (!partyToken) return null;
+
+        const destination = typeof scene === 'string'
+            ? (scene.includes('.') ? fromUuidSync(scene) : game.scenes.get(scene))
+            : scene;
+        const source = partyToken.document.parent;
+        if (!(destination instanceof Scene) || destination === source) {
+            ui.notifications.warn(game.i18n.localize('GROUP_POVUXA.Notifications.SceneNotFound'));
+            return null;
+        }
+
+        const disperse = options.disperse ?? game.settings.get(MODULE_ID, 'disperseOnArrival');
+
+        if (PartySocket.shouldRelay()) {
+            this._partyCache.clear();
+            const result = await PartySocket.request('moveToScene', {
+                partyTokenId: partyToken.id,
+                sceneId: destination.id,
+                options: { x: options.x, y: options.y, disperse }
+            });
+            return result?.partyTokenId ? destination.tokens.get(result.partyTokenId) ?? null : null;
+        }
+
+        // Место на новой сцене: центр группы → top-left её токена
+        const grid = destination.grid;
+        const rect = destination.dimensions.sceneRect;
+        const point = Number.isFinite(options.x) && Number.isFinite(options.y)
+            ? { x: options.x, y: options.y }
+            : (Number.isFinite(destination.initial?.x) && Number.isFinite(destination.initial?.y)
+                ? destination.initial
+                : { x: rect.x + rect.width / 2, y: rect.y + rect.height / 2 });
+        const center = grid.getSnappedPoint({ x: point.x, y: point.y }, { mode: CONST.GRID_SNAPPING_MODES.CENTER });
+
+        // Новый ID сразу — спрятанные участники ссылаются на него во флаге parked
+        const partyData = partyToken.document.toObject();
+        partyData._id = foundry.utils.randomID();
+        partyData.x = center.x - (grid.sizeX * partyData.width) / 2;
+        partyData.y = center.y - (grid.sizeY * partyData.height) / 2;
+        delete partyData.flags[MODULE_ID].trail;
+
+        const [created] = await destination.createEmbeddedDocuments('Token', [partyData], { keepId: true });
+        await this._carryParkedMembers(source, partyToken.id, created);
+
+        // Старый токен группы удаляем без роспуска (см. preDeleteToken)
+        const partyId = this._getPartyId(partyToken);
+        await source.deleteEmbeddedDocuments('Token', [partyToken.id], { groupPovuxaDispersing: true });
+        await this._clearPartyState(partyId, source);
+        this._partyCache.delete(partyId);
+
+        ui.notifications.info(game.i18n.format('GROUP_POVUXA.Notifications.PartyMoved', {
+            name: this._getPartyName(created),
+            scene: destination.name
+        }));
+
+        if (options.view && game.user.isGM && canvas.scene !== destination) await destination.view();
+        await this._arrive(created, disperse);
+        return created;
+    }
+
+    /**
+     * Токен группы ушёл через регион с поведением Teleport Token (хук deleteToken, только активный ГМ):
+     * Foundry уже создал его копию на другой сцене — переносим к ней спрятанных участников
+     * @param {TokenDocument} tokenDoc - Удалённый токен группы
+     * @param {string} replacementUuid - UUID копии на сцене назначения
+     */
+    async onPartyTeleported(tokenDoc, replacementUuid) {
+        const created = await fromUuid(replacementUuid);
+        if (!created || created.parent === tokenDoc.parent) return;
+
+        await this._carryParkedMembers(tokenDoc.parent, tokenDoc.id, created);
+        const partyId = tokenDoc.getFlag(MODULE_ID, 'partyId') ?? tokenDoc.id;
+        await this._clearPartyState(partyId, tokenDoc.parent);
+        this._partyCache.delete(partyId);
+
+        await this._arrive(created, game.settings.get(MODULE_ID, 'disperseOnArrival'));
+    }
+
+    /**
+     * Распустить группы, прибывшие на открытую сцену (хук canvasReady, только активный ГМ)
+     */
+    async disperseArrivals() {
+        const arrivals = this.getPartyTokens().filter(t => t.document.getFlag(MODULE_ID, 'disperseOnArrival'));
+        for (const partyToken of arrivals) {
+            await partyToken.document.unsetFlag(MODULE_ID, 'disperseOnArrival');
+            await this.disperseParty(partyToken);
+        }
+    }
+
+    /**
+     * Группа на новой сцене: роспуск сразу (если ГМ смотрит эту сцену) или когда сцену откроют
+     * @param {TokenDocument} partyDoc
+     * @param {boolean} disperse
+     * @private
+     */
+    async _arrive(partyDoc, disperse) {
+        if (!disperse) return;
+        await partyDoc.setFlag(MODULE_ID, 'disperseOnArrival', true);
+        if (canvas.scene === partyDoc.parent) await this.disperseArrivals();
+    }
+
+    /**
+     * Перенести спрятанные токены участников к токену группы на другой сцене
+     * и записать состояние группы во флаги новой сцены.
+     * ID токенов сохраняются (на них ссылается список участников), занятые — заменяются.
+     * @param {Scene} source - Исходная сцена
+     * @param {string} sourcePartyTokenId - ID токена группы на исходной сцене
+     * @param {TokenDocument} partyDoc - Токен группы на сцене назначения
+     * @private
+     */
+    async _carryParkedMembers(source, sourcePartyTokenId, partyDoc) {
+        const destination = partyDoc.parent;
+        const { sizeX, sizeY } = destination.grid;
+        const center = {
+            x: partyDoc.x + (sizeX * partyDoc.width) / 2,
+            y: partyDoc.y + (sizeY * partyDoc.height) / 2
+        };
+
+        const members = partyDoc.getFlag(MODULE_ID, 'members') || [];
+        const parked = members
+            .map(m => source.tokens.get(m.tokenId))
+            .filter(doc => doc?.getFlag(MODULE_ID, 'parked')?.partyTokenId === sourcePartyTokenId);
+
+        const remap = {};
+        const tokensData = parked.map(doc => {
+            const data = doc.toObject();
+            if (destination.tokens.has(data._id)) data._id = remap[doc.id] = foundry.utils.randomID();
+            data.x = center.x - (sizeX * data.width) / 2;
+            data.y = center.y - (sizeY * data.height) / 2;
+            data.flags[MODULE_ID].parked.partyTokenId = partyDoc.id;
+            return data;
+        });
+
+        if (tokensData.length > 0) {
+            await destination.createEmbeddedDocuments('Token', tokensData, { keepId: true });
+            await source.deleteEmbeddedDocuments('Token', parked.map(doc => doc.id));
+        }
+
+        // След старой сцены на новой не имеет смысла
+        const carried = members.map(m => remap[m.tokenId] ? { ...m, tokenId: remap[m.tokenId] } : m);
+        await partyDoc.update({
+            [`flags.${MODULE_ID}.members`]: carried,
+            [`flags.${MODULE_ID}.-=trail`]: null
+        });
+        await this._savePartyState(partyDoc, carried);
+    }
+
     /**
      * Генерация координат спирали для заполнения
      */
     _getPrioritySlots(count) {
+        // Гексы: кольца вокруг центра
+        if (GridGeometry.isHex()) return GridGeometry.getHexSpiral().slice(0, Math.max(count, 1));
+
         const slots = [{ x: 0, y: 0 }];
         let x = 0, y = 0;
         let dx = 0, dy = -1;
@@ -482,7 +833,215 @@ export class PartyManager {
         return slots;
     }
 
+    /**
+     * Расставить «Змейку» по следу группы: ведущий в центре, остальные —
+     * назад по пройденному пути через клетку (без сетки — через шаг упаковки).
+     * За концом следа цепочка продолжается прямо назад.
+     *
+     * @param {Array} members - Участники по порядку марша
+     * @param {Array<{x: number, y: number}>} [trail] - Флаг trail (старые точки первыми)
+     * @param {Object} context
+     * @param {number} context.centerX - Центр токена группы
+     * @param {number} context.centerY
+     * @param {Set<string>} context.reachableSet - Результат TokenPlacer.buildReachableSet
+     * @param {Array} context.roleSpots - Места разведчиков и арьергарда {x, y, width, height}
+     * @param {string[]} context.excludeTokens - Токены, не мешающие расстановке
+     * @param {number} context.spacing - Шаг упаковки без сетки
+     * @returns {{positions: Array<{x: number, y: number}>}|null} - null, если следа нет или места не хватило всем
+     * @private
+     */
+    _placeAlongTrail(members, trail, { centerX, centerY, reachableSet, roleSpots, excludeTokens, spacing }) {
+        // Путь от центра назад: новые точки следа первыми
+        const path = [{ x: centerX, y: centerY }];
+        for (const point of [...(trail ?? [])].reverse()) {
+            const last = path.at(-1);
+            if (Math.hypot(point.x - last.x, point.y - last.y) >= 1) path.push(point);
+        }
+        if (path.length < 2) return null;
+
+        const unit = canvas.grid.isGridless ? spacing : canvas.grid.size;
+
+        // Продолжение за концом следа — прямо назад, с запасом на обходы занятых клеток
+        const [prev, last] = path.slice(-2);
+        const tailLength = Math.hypot(last.x - prev.x, last.y - prev.y);
+        const extra = unit * (members.length + 4);
+        path.push({
+            x: last.x + (last.x - prev.x) / tailLength * extra,
+            y: last.y + (last.y - prev.y) / tailLength * extra
+        });
+
+        // Точка пути на расстоянии distance от центра
+        const segments = path.slice(1).map((point, i) => ({
+            from: path[i], to: point, length: Math.hypot(point.x - path[i].x, point.y - path[i].y)
+        }));
+        const totalLength = segments.reduce((sum, s) => sum + s.length, 0);
+        const pointAt = (distance) => {
+            for (const { from, to, length } of segments) {
+                if (distance <= length) {
+                    const t = length ? distance / length : 0;
+                    return { x: from.x + (to.x - from.x) * t, y: from.y + (to.y - from.y) * t };
+                }
+                distance -= length;
+            }
+            return { ...path.at(-1) };
+        };
+
+        // Шаг меньше клетки, чтобы на диагоналях и поворотах не перескочить клетку
+        const step = unit / 4;
+        const taken = [...roleSpots];
+        const positions = [];
+        let distance = 0;
+
+        for (const member of members) {
+            const w = member.width ?? 1;
+            const h = member.height ?? 1;
+            let placed = null;
+
+            for (; distance <= totalLength && !placed; distance += step) {
+                const point = pointAt(distance);
+                const footprint = TokenPlacer.snapFootprint(point.x, point.y, w, h);
+                const spot = { x: footprint.x, y: footprint.y, width: w, height: h };
+
+                if (this._isSpotTaken(taken, spot)) continue;
+                if (!TokenPlacer.isFootprintReachable(reachableSet, spot.x, spot.y, w, h, spacing)) continue;
+                if (TokenPlacer.isFootprintOccupied(spot.x, spot.y, w, h, excludeTokens)) continue;
+
+                placed = { x: spot.x, y: spot.y };
+                taken.push(spot);
+            }
+
+            if (!placed) return null;
+            positions.push(placed);
+        }
+
+        return { positions };
+    }
+
+    /**
+     * Пользовательский шаблон как расстановка: он привязан к участникам
+     * по ID токенов и актёров (FormationPresets.applyToMembers)
+     * @param {Array} members - Участники, которых строит шаблон
+     * @param {string} formationId - ID шаблона
+     * @returns {Object|null} - FormationPresets.fromGridPositions; null — стандартный или неизвестный шаблон
+     * @private
+     */
+    _getCustomArrangement(members, formationId) {
+        if (members.length === 0 || FormationPresets.FORMATIONS[formationId] || !FormationPresets.get(formationId)) return null;
+
+        const assigned = FormationPresets.applyToMembers(members.map(m => ({ ...m, gridPos: null })), formationId);
+        return FormationPresets.fromGridPositions(assigned.map(m => m.gridPos ?? { x: 0, y: 0 }));
+    }
+
+    /**
+     * Проверить, не стоит ли группа в проходе уже шаблона
+     *
+     * Ширина свободного места поперёк направления меряется по достижимым клеткам
+     * (TokenPlacer.measureFreeWidth). Если шаблон шире — он заменяется шаблоном
+     * из настройки corridorFormation.
+     *
+     * @param {string|Object} formationId - Выбранный шаблон или расстановка (FormationPresets.fromGridPositions)
+     * @param {number} count - Сколько участников строит шаблон
+     * @param {Object} context
+     * @param {number} context.centerX - Центр расстановки
+     * @param {number} context.centerY
+     * @param {number} context.direction - Направление группы (0 = север)
+     * @param {Set<string>} context.reachableSet - Результат TokenPlacer.buildReachableSet
+     * @param {number} context.spacing - Шаг упаковки без сетки
+     * @param {boolean} context.enabled - false — проверку пропустить
+     * @returns {{formation: string, freeWidth: number}|null} - null, если шаблон помещается
+     * @private
+     */
+    _checkCorridor(formationId, count, { centerX, centerY, direction, reachableSet, spacing, enabled }) {
+        const fallback = game.settings.get(MODULE_ID, 'corridorFormation');
+        if (!enabled || fallback === 'none' || fallback === formationId || count < 2) return null;
+
+        const required = FormationPresets.getWidth(formationId, count, direction, spacing);
+        // Пользовательский шаблон или узкий сам по себе
+        if (required <= 1) return null;
+
+        const freeWidth = TokenPlacer.measureFreeWidth(reachableSet, centerX, centerY, direction, { spacing });
+        if (freeWidth >= required) return null;
+
+        // Запасной шаблон тоже может не влезть — тогда хотя бы не хуже выбранного
+        if (FormationPresets.getWidth(fallback, count, direction, spacing) >= required) return null;
+
+        return { formation: fallback, freeWidth };
+    }
+
+    /**
+     * Расставить разведчиков впереди группы, арьергард — позади
+     *
+     * Идеальная клетка — на scoutDistance / rearguardDistance клеток по
+     * направлению группы. Если она за стеной или занята, участник шаг за
+     * шагом отступает к основной группе. Несколько участников одной роли
+     * встают плечом к плечу.
+     *
+     * @param {Array} members - Участники группы
+     * @param {Object} context
+     * @param {number} context.centerX - Центр токена группы
+     * @param {number} context.centerY
+     * @param {number} context.direction - Направление группы (0 = север)
+     * @param {Set<string>} context.reachableSet - Результат TokenPlacer.buildReachableSet
+     * @param {Array} context.occupiedSpots - Занятые места {x, y, width, height}, дополняется
+     * @param {string[]} context.excludeTokens - Токены, не мешающие расстановке
+     * @param {number} context.spacing - Шаг упаковки без сетки (TokenPlacer.getPackingSpacing)
+     * @param {Function} [context.isInArea] - (x, y, w, h) => boolean — граница целевой области
+     * @returns {Map<number, {x: number, y: number}>} - Индекс участника -> позиция (top-left)
+     * @private
+     */
+    _placeRoleMembers(members, { centerX, centerY, direction, reachableSet, occupiedSpots, excludeTokens, spacing, isInArea }) {
+        const placed = new Map();
+
+        for (const [role, { setting, side }] of Object.entries(this.constructor.ROLE_PLACEMENT)) {
+            const distance = game.settings.get(MODULE_ID, setting);
+            let lane = 0;
+
+            members.forEach((member, index) => {
+                if (member.role !== role) return;
+
+                // Ряд: 0, -1, +1, -2, +2 ...
+                const offset = (lane % 2 ? -1 : 1) * Math.ceil(lane / 2);
+                lane++;
+
+                const w = member.width ?? 1;
+                const h = member.height ?? 1;
+
+                for (let step = distance; step >= 1; step--) {
+                    // «Вперёд» на сетке расстановки — это -y, поворот по direction делает GridGeometry
+                    const slotPos = GridGeometry.getRankPos(offset, -step * side);
+                    const slot = GridGeometry.getSlotCenter({ x: centerX, y: centerY }, slotPos, direction);
+                    const footprint = TokenPlacer.snapFootprint(slot.x, slot.y, w, h);
+                    const snapped = { x: footprint.x, y: footprint.y };
+
+                    const spot = { ...snapped, width: w, height: h };
+
+                    if (this._isSpotTaken(occupiedSpots, spot)) continue;
+                    if (!TokenPlacer.isFootprintReachable(reachableSet, snapped.x, snapped.y, w, h, spacing)) continue;
+                    if (isInArea && !isInArea(snapped.x, snapped.y, w, h)) continue;
+                    if (TokenPlacer.isFootprintOccupied(snapped.x, snapped.y, w, h, excludeTokens)) continue;
+
+                    placed.set(index, snapped);
+                    occupiedSpots.push(spot);
+                    break;
+                }
+            });
+        }
+
+        return placed;
+    }
 
+    /**
+     * Пересекается ли место с уже расставленными участниками
+     * (на сетке — по всем клеткам, без сетки — по кругам токенов)
+     *
+     * @param {Array} occupiedSpots - Занятые места {x, y, width, height}
+     * @param {{x: number, y: number, width?: number, height?: number}} spot - Место (top-left)
+     * @returns {boolean}
+     * @private
+     */
+    _isSpotTaken(occupiedSpots, spot) {
+        return occupiedSpots.some(taken => TokenPlacer.footprintsOverlap(taken, spot));
+    }
 
     // ==========================================
     // УПРАВЛЕНИЕ УЧАСТНИКАМИ
@@ -491,47 +1050,33 @@ export class PartyManager {
     /**
      * Добавить токен в существующую группу
      * @param {Token} token - Токен для добавления
+     * @param {Token} [partyToken] - Токен группы (по умолчанию — найденный на сцене)
      */
-    async addMember(token) {
+    async addMember(token, partyToken = this._findPartyToken()) {
         // Нельзя добавить токен группы в другую группу
-        if (token.document.getFlag(MODULE_ID, 'isPartyToken')) {
+        if (token.document.getFlag(MODULE_ID, 'isPartyToken') || token.document.getFlag(MODULE_ID, 'parked')) {
             ui.notifications.warn(game.i18n.localize('GROUP_POVUXA.Notifications.CannotGroupGroups'));
             return;
         }
 
-        const partyToken = this._findPartyToken();
         if (!partyToken) {
             ui.notifications.warn(game.i18n.localize('GROUP_POVUXA.Notifications.NoPartyToken'));
             return;
         }
 
+        if (PartySocket.shouldRelay()) {
+            this._partyCache.clear();
+            await PartySocket.request('addMember', { tokenId: token.id, partyTokenId: partyToken.id });
+            return;
+        }
+
         const members = partyToken.document.getFlag(MODULE_ID, 'members') || [];
 
         // Добавляем нового участника
-        const newMember = {
-            tokenId: token.id,
-            actorId: token.actor?.id,
-            name: token.name,
-            img: token.document.texture.src,
+        const newMember = this._buildMemberData(token, {
             order: members.length,
-            role: 'member',
-            originalPosition: { x: token.x, y: token.y },
-            width: token.document.width,
-            height: token.document.height,
-            scaleX: token.document.texture.scaleX,
-            scaleY: token.document.texture.scaleY,
-            vision: {
-                enabled: token.document.sight.enabled,
-                range: token.document.sight.range,
-                visionMode: token.document.sight.visionMode
-            },
-            light: {
-                dim: token.document.light.dim,
-                bright: token.document.light.bright,
-                color: token.document.light.color,
-                animation: token.document.light.animation
-            }
-        };
+            role: 'member'
+        });
 
         members.push(newMember);
 
@@ -542,24 +1087,33 @@ export class PartyManager {
         await this._updatePartyTokenVision(partyToken, members);
 
         // Скрываем добавленный токен
-        await token.document.delete();
+        await this._hideOriginalTokens([token], partyToken.id);
+        await PartyStatusSync.syncFromMembers(partyToken.document);
 
         ui.notifications.info(
             game.i18n.format('GROUP_POVUXA.Notifications.TokenAdded', { name: token.name })
         );
 
+        await this._savePartyState(partyToken, members);
+
         // Обновляем кэш
-        this._partyCache = { partyTokenId: partyToken.id, members };
+        this._cacheParty(partyToken, members);
     }
 
     /**
      * Убрать участника из группы
      * @param {string} tokenId - ID токена для удаления
+     * @param {Token} [partyToken] - Токен группы (по умолчанию — группа, в которой состоит токен)
      */
-    async removeMember(tokenId) {
-        const partyToken = this._findPartyToken();
+    async removeMember(tokenId, partyToken = this._findPartyTokenByMember(tokenId)) {
         if (!partyToken) return;
 
+        if (PartySocket.shouldRelay()) {
+            this._partyCache.clear();
+            await PartySocket.request('removeMember', { tokenId, partyTokenId: partyToken.id });
+            return;
+        }
+
         let members = partyToken.document.getFlag(MODULE_ID, 'members') || [];
         const memberIndex = members.findIndex(m => m.tokenId === tokenId);
 
@@ -588,29 +1142,131 @@ export class PartyManager {
 
         // Обновляем зрение/свет
         await this._updatePartyTokenVision(partyToken, members);
+        await this._savePartyState(partyToken, members);
 
         ui.notifications.info(
             game.i18n.format('GROUP_POVUXA.Notifications.TokenRemoved', { name: removedMember.name })
         );
 
-        this._partyCache = { partyTokenId: partyToken.id, members };
+        this._cacheParty(partyToken, members);
+    }
+
+    /**
+     * Сохранить правки расстановки: роли, порядок и позиции в сетке.
+     * Состав группы не меняется — поля берутся только у уже известных участников,
+     * поэтому снимки токенов нельзя подменить через панель или сокет.
+     * @param {Token} partyToken - Токен группы
+     * @param {Object[]} edited - Участники с новыми role/order/gridPos
+     * @param {Object} [options]
+     * @param {string} [options.formation] - ID шаблона, сохраняемый на токене группы
+     */
+    async updateMembers(partyToken, edited, options = {}) {
+        if (!partyToken) return;
+
+        if (PartySocket.shouldRelay()) {
+            this._partyCache.clear();
+            const members = edited.map(m => ({ tokenId: m.tokenId, role: m.role, order: m.order, gridPos: m.gridPos ?? null }));
+            await PartySocket.request('updateMembers', { partyTokenId: partyToken.id, members, options });
+            return;
+        }
+
+        const members = partyToken.document.getFlag(MODULE_ID, 'members') || [];
+        const roles = ['leader', 'scout', 'rearguard', 'member'];
+
+        for (const member of members) {
+            const edit = edited.find(e => e.tokenId === member.tokenId);
+            if (!edit) continue;
+
+            if (roles.includes(edit.role)) member.role = edit.role;
+            if (Number.isInteger(edit.order)) member.order = edit.order;
+            if (edit.gridPos && Number.isInteger(edit.gridPos.x) && Number.isInteger(edit.gridPos.y)) {
+                member.gridPos = { x: edit.gridPos.x, y: edit.gridPos.y };
+            } else {
+                delete member.gridPos;
+            }
+        }
+
+        members.sort((a, b) => a.order - b.order);
+
+        const updates = { [`flags.${MODULE_ID}.members`]: members };
+        if (options.formation) updates[`flags.${MODULE_ID}.formation`] = options.formation;
+        await partyToken.document.update(updates);
+        await this._savePartyState(partyToken, members);
+
+        this._cacheParty(partyToken, members);
     }
 
     /**
-     * Получить данные о текущей группе
+     * Переименовать группу
+     * @param {Token} partyToken - Токен группы
+     * @param {string} name - Новое название
      */
-    getPartyData() {
-        if (this._partyCache) return this._partyCache;
+    async renameParty(partyToken, name) {
+        name = name?.trim();
+        if (!partyToken || !name) return;
 
-        const partyToken = this._findPartyToken();
+        if (PartySocket.shouldRelay()) {
+            this._partyCache.clear();
+            await PartySocket.request('renameParty', { partyTokenId: partyToken.id, name });
+            return;
+        }
+
+        await partyToken.document.update({ name, [`flags.${MODULE_ID}.partyName`]: name });
+
+        const members = partyToken.document.getFlag(MODULE_ID, 'members') || [];
+        await this._savePartyState(partyToken, members);
+        this._cacheParty(partyToken, members);
+    }
+
+    /**
+     * Получить данные о группе
+     * @param {string} [partyId] - ID группы; без него — выбранная или первая группа на сцене
+     * @returns {{partyId: string, name: string, partyTokenId: string, members: Object[]}|null}
+     */
+    getPartyData(partyId = null) {
+        if (partyId && this._partyCache.has(partyId)) return this._partyCache.get(partyId);
+
+        const partyToken = this._findPartyToken(partyId);
         if (!partyToken) return null;
 
+        const id = this._getPartyId(partyToken);
+        if (this._partyCache.has(id)) return this._partyCache.get(id);
+
         return {
+            partyId: id,
+            name: this._getPartyName(partyToken),
             partyTokenId: partyToken.id,
             members: partyToken.document.getFlag(MODULE_ID, 'members') || []
         };
     }
 
+    /**
+     * Получить данные всех групп на текущей сцене
+     * @returns {Object[]}
+     */
+    getParties() {
+        return this.getPartyTokens().map(t => this.getPartyData(this._getPartyId(t)));
+    }
+
+    /**
+     * Привести Token, TokenDocument или ID группы к токену группы
+     * @param {Token|TokenDocument|string} [party] - Без значения — выбранная или первая группа
+     * @returns {Token|null}
+     */
+    resolvePartyToken(party = null) {
+        if (!party) return this._findPartyToken();
+        if (typeof party === 'string') return this._findPartyToken(party);
+        return party.document ? party : (party.object ?? null);
+    }
+
+    /**
+     * Все токены групп на текущей сцене
+     * @returns {Token[]}
+     */
+    getPartyTokens() {
+        return canvas.tokens?.placeables.filter(t => t.document.getFlag(MODULE_ID, 'isPartyToken')) ?? [];
+    }
+
     // ==========================================
     // ПРИВАТНЫЕ МЕТОДЫ
     // ==========================================
@@ -789,15 +1445,16 @@ export class PartyManager {
         await partyActor.update({ ownership });
     }
 
-    async _getOrCreatePartyActor() {
+    /**
+     * Технический актёр группы. У каждой группы свой актёр (флаг partyId):
+     * права на него собираются из её участников и не затирают права других групп
+     * @param {string} partyId - ID группы
+     * @returns {Promise<Actor>}
+     */
+    async _getOrCreatePartyActor(partyId) {
         const actorName = "Group Party Actor (Do Not Delete)";
-        // Ищем существующего актера
-        let actor = game.actors.find(a => a.getFlag(MODULE_ID, 'isPartyActor'));
-
-        // Fallback по имени
-        if (!actor) {
-            actor = game.actors.find(a => a.name === actorName);
-        }
+        // Ищем актера этой группы (общий актер старых версий без partyId не подходит)
+        let actor = game.actors.find(a => a.getFlag(MODULE_ID, 'isPartyActor') && a.getFlag(MODULE_ID, 'partyId') === partyId);
 
         // Auto-migrate: fix prototypeToken.texture.src if missing or old square image
         if (actor) {
@@ -828,11 +1485,11 @@ export class PartyManager {
                     name: game.i18n.localize('GROUP_POVUXA.Panel.Title')
                 },
                 flags: {
-                    [MODULE_ID]: { isPartyActor: true }
+                    [MODULE_ID]: { isPartyActor: true, partyId }
                 },
                 ownership: { default: 0 }
             });
-            console.log(`${MODULE_ID} | Created generic Party Actor: ${actor.id}`);
+            console.log(`${MODULE_ID} | Created Party Actor for party ${partyId}: ${actor.id}`);
         }
 
         // Проверяем настройку видимости
@@ -847,11 +1504,28 @@ export class PartyManager {
         return actor;
     }
 
+    /**
+     * Удалить актёра распущенной группы (общий актёр старых версий остаётся)
+     * @param {TokenDocument} tokenDoc - Удалённый токен группы
+     */
+    async _deletePartyActor(tokenDoc) {
+        const actor = tokenDoc.actorId ? game.actors.get(tokenDoc.actorId) : null;
+        if (!actor?.getFlag(MODULE_ID, 'isPartyActor')) return;
+        if (actor.getFlag(MODULE_ID, 'partyId') !== tokenDoc.getFlag(MODULE_ID, 'partyId')) return;
+
+        try {
+            await actor.delete();
+        } catch (e) {
+            console.warn(`${MODULE_ID} | Error deleting party actor:`, e);
+        }
+    }
+
     /**
      * Создать токен группы
+     * @param {Object} identity - { partyId, name, formation } группы
      */
-    async _createPartyToken(center, members, vision, light) {
-        const gridSize = canvas.grid.size;
+    async _createPartyToken(center, members, vision, light, identity) {
+        const { sizeX, sizeY } = canvas.grid;
         let tokenImage = game.settings.get(MODULE_ID, 'defaultPartyToken');
 
         // Auto-fix: migrate old default images to circular version
@@ -860,7 +1534,7 @@ export class PartyManager {
         }
 
         // Получаем или создаем технического актера для группы
-        const partyActor = await this._getOrCreatePartyActor();
+        const partyActor = await this._getOrCreatePartyActor(identity.partyId);
         await this._syncPartyActorOwnership(partyActor, members);
 
         // Привязываем к сетке (v13 API: point, behavior)
@@ -870,15 +1544,17 @@ export class PartyManager {
         );
 
         const tokenData = {
-            name: game.i18n.localize('GROUP_POVUXA.Panel.Title'),
+            name: identity.name,
             actorId: partyActor.id,
             texture: {
                 src: tokenImage || `modules/${MODULE_ID}/assets/tokens/party-group-circle.png`
             },
-            x: snappedPosition.x - gridSize / 2,
-            y: snappedPosition.y - gridSize / 2,
+            x: snappedPosition.x - sizeX / 2,
+            y: snappedPosition.y - sizeY / 2,
             width: 1,
             height: 1,
+            // Сводные полосы участников (см. PartyBars)
+            displayBars: CONST.TOKEN_DISPLAY_MODES.OWNER,
             sight: {
                 enabled: vision.enabled,
                 range: vision.range,
@@ -893,8 +1569,10 @@ export class PartyManager {
             flags: {
                 [MODULE_ID]: {
                     isPartyToken: true,
+                    partyId: identity.partyId,
+                    partyName: identity.name,
                     members: members,
-                    formation: game.settings.get(MODULE_ID, 'defaultFormation')
+                    formation: identity.formation
                 }
             }
         };
@@ -904,133 +1582,272 @@ export class PartyManager {
     }
 
     /**
-     * Delete original tokens from canvas.
+     * Режим сбора из настроек
+     * 'hide' — токены участников остаются на сцене спрятанными (без потерь),
+     * 'delete' — старый путь: удаление и пересоздание из снимка
+     * @returns {'hide'|'delete'}
      */
-    async _hideOriginalTokens(tokens) {
+    _getGatherMode() {
+        return game.settings.get(MODULE_ID, 'gatherMode') === 'delete' ? 'delete' : 'hide';
+    }
+
+    /**
+     * Remove original tokens from play.
+     * In 'hide' mode the TokenDocuments are kept: hidden, with vision and light disabled
+     * (the party token carries both), and the pre-gather state stored in the `parked` flag for a lossless restore.
+     * In 'delete' mode the tokens are deleted (legacy behaviour).
+     * @param {Token[]} tokens
+     * @param {string} partyTokenId - Party token the members are parked in
+     */
+    async _hideOriginalTokens(tokens, partyTokenId) {
         const tokenIds = tokens.map(t => t.id).filter(id => canvas.tokens.get(id));
-        if (tokenIds.length > 0) {
+        if (tokenIds.length === 0) return;
+
+        if (this._getGatherMode() === 'delete') {
             await canvas.scene.deleteEmbeddedDocuments('Token', tokenIds);
+            return;
         }
+
+        const updates = tokenIds.map(id => {
+            const doc = canvas.scene.tokens.get(id);
+            return {
+                _id: id,
+                hidden: true,
+                'sight.enabled': false,
+                // Свет остался бы на месте сбора, когда группа уйдёт
+                'light.dim': 0,
+                'light.bright': 0,
+                [`flags.${MODULE_ID}.parked`]: {
+                    partyTokenId,
+                    hidden: doc.hidden,
+                    sightEnabled: doc.sight.enabled,
+                    lightDim: doc.light.dim,
+                    lightBright: doc.light.bright
+                }
+            };
+        });
+        await canvas.scene.updateEmbeddedDocuments('Token', updates, { animate: false });
+    }
+
+    /**
+     * Найти спрятанный (parked) документ токена участника на текущей сцене
+     * @param {Object} member - Saved member data
+     * @returns {TokenDocument|null}
+     */
+    _getParkedDocument(member) {
+        const doc = canvas.scene.tokens.get(member.tokenId);
+        return doc?.getFlag(MODULE_ID, 'parked') ? doc : null;
     }
 
     /**
-     * ANIMATION: Slide all member tokens toward center before gathering.
-     * Tokens move to the calculated center point, then get deleted.
-     * @param {Token[]} tokens - Token objects to animate
-     * @param {{x: number, y: number}} center - Target center position
+     * Build the update that moves a parked token and reveals it with its pre-gather state.
+     * @param {TokenDocument} doc - Parked token document
+     * @param {{x: number, y: number}} position - Top-left position
+     * @returns {Object}
      */
-    async _animateGather(tokens, center) {
-        const gridSize = canvas.grid.size;
-        const targetX = center.x - gridSize / 2;
-        const targetY = center.y - gridSize / 2;
-
-        // Move all tokens toward center simultaneously
-        const movePromises = tokens.map(token => {
-            if (!token.document) return Promise.resolve();
-            return token.document.update(
-                { x: targetX, y: targetY },
-                { animate: true, animation: { duration: 400, easing: 'easeInOutCubic' } }
-            ).catch(() => { });
-        });
+    _getUnparkUpdate(doc, position) {
+        const parked = doc.getFlag(MODULE_ID, 'parked') || {};
+        return {
+            _id: doc.id,
+            x: position.x,
+            y: position.y,
+            hidden: parked.hidden ?? false,
+            'sight.enabled': parked.sightEnabled ?? doc.sight.enabled,
+            'light.dim': parked.lightDim ?? doc.light.dim,
+            'light.bright': parked.lightBright ?? doc.light.bright,
+            [`flags.${MODULE_ID}.-=parked`]: null
+        };
+    }
 
-        await Promise.all(movePromises);
+    /**
+     * ANIMATION: Move all member tokens to the party centre before gathering,
+     * using the world's animation style (see PartyAnimations).
+     * @param {Token[]} tokens - Member tokens in marching order
+     * @param {{x: number, y: number}} center - Party centre
+     * @param {Object} [options] - options.animate overrides the client setting
+     */
+    async _animateGather(tokens, center, options = {}) {
+        const moves = tokens
+            .filter(token => token.document)
+            .map((token, order) => ({ tokenDoc: token.document, target: center, order }));
+
+        await PartyAnimations.play('gather', moves, options);
         // Brief pause for visual effect
-        await new Promise(r => setTimeout(r, 150));
+        if (PartyAnimations.isEnabled(options)) await new Promise(r => setTimeout(r, 150));
     }
 
     /**
-     * ANIMATION: Slide restored tokens from party position to their final positions.
+     * ANIMATION: Move restored tokens from party position to their final positions.
      * Tokens are created at party position, then animated outward.
-     * @param {TokenDocument[]} restoredTokens - Newly created token documents
-     * @param {Array<{x: number, y: number}>} finalPositions - Target positions
+     * @param {Array<TokenDocument|null>} restoredTokens - Restored token documents by member index (null — skipped)
+     * @param {Array<{x: number, y: number}>} finalPositions - Target positions (top-left)
+     * @param {Object} [options] - options.animate overrides the client setting
      */
-    async _animateDisperse(restoredTokens, finalPositions) {
+    async _animateDisperse(restoredTokens, finalPositions, options = {}) {
         // Small delay to let tokens render
-        await new Promise(r => setTimeout(r, 100));
-
-        const updateBatch = [];
-
-        // We assume restoredTokens aligns with finalPositions logic, 
-        // BUT restoredTokens only contains valid ones.
-        // The original members list might have had skips.
-        // However, `_restoreMembers` pushes sequentially for every valid member.
-        // So we should iterate restoredTokens.
-
-        for (let i = 0; i < restoredTokens.length; i++) {
-            const tokenDoc = restoredTokens[i];
-            const finalPos = finalPositions[i]; // This alignment assumes 1:1 match.
-
-            // WARNING: If `_restoreMembers` skipped some members (e.g. actor not found),
-            // indices will shift. We should probably pass the FULL list or align safer.
-            // But for now, let's assume reliability or index alignment.
-            // Actually `_restoreMembers` skips if actor missing. `finalPositions` matches `members`.
+        if (PartyAnimations.isEnabled(options)) await new Promise(r => setTimeout(r, 100));
+
+        // `_restoreMembers` returns one entry per member (null for a member whose actor is gone),
+        // so restoredTokens lines up with finalPositions by index
+        const moves = [];
+        restoredTokens.forEach((tokenDoc, order) => {
+            const finalPos = finalPositions[order];
+            if (!tokenDoc || !finalPos) return;
+            moves.push({
+                tokenDoc,
+                target: {
+                    x: finalPos.x + (canvas.grid.sizeX * tokenDoc.width) / 2,
+                    y: finalPos.y + (canvas.grid.sizeY * tokenDoc.height) / 2
+                },
+                order
+            });
+        });
 
-            // To be safe, _restoreMembers should probably return sparse array or we assume alignment.
-            // Let's rely on basic alignment for now as actor missing is rare.
+        await PartyAnimations.play('disperse', moves, options);
+    }
 
-            if (!finalPos) continue;
+    /**
+     * Собрать данные участника для флага `members`
+     * Краткие поля (зрение, свет, размер) нужны для расчётов токена группы,
+     * полный снимок `snapshot` — для точного восстановления удалённого токена.
+     * @param {Token} token - Токен участника
+     * @param {Object} extra - order, role, gridPos
+     * @returns {Object}
+     */
+    _buildMemberData(token, extra = {}) {
+        const doc = token.document;
+        return {
+            tokenId: token.id,
+            actorId: token.actor?.id,
+            name: token.name,
+            img: doc.texture.src,
+            order: 0,
+            role: 'member',
+            gridPos: null,
+            ...extra,
+            originalPosition: { x: token.x, y: token.y },
+            // Preserve dimensions and scale
+            width: doc.width,
+            height: doc.height,
+            scaleX: doc.texture.scaleX,
+            scaleY: doc.texture.scaleY,
+            // Preserve orientation, elevation, disposition
+            rotation: doc.rotation ?? 0,
+            elevation: doc.elevation ?? 0,
+            disposition: doc.disposition ?? CONST.TOKEN_DISPOSITIONS.FRIENDLY,
+            // Preserve vision and light
+            vision: {
+                enabled: doc.sight.enabled,
+                range: doc.sight.range,
+                visionMode: doc.sight.visionMode
+            },
+            light: {
+                dim: doc.light.dim,
+                bright: doc.light.bright,
+                color: doc.light.color,
+                animation: doc.light.animation
+            },
+            // Full TokenDocument: actorLink, delta, bars, detection modes, ring, foreign flags, _id
+            snapshot: doc.toObject()
+        };
+    }
 
-            updateBatch.push({
-                _id: tokenDoc.id,
-                x: finalPos.x,
-                y: finalPos.y
-            });
+    /**
+     * Build creation data for a member token.
+     * Uses the full snapshot when present (original _id is kept unless already taken),
+     * otherwise falls back to the short fields stored by older versions.
+     * @param {Object} member - Saved member data
+     * @param {{x: number, y: number}} position - Top-left position
+     * @returns {Object}
+     */
+    _buildTokenDataFromMember(member, position) {
+        if (member.snapshot) {
+            const data = foundry.utils.deepClone(member.snapshot);
+            data.x = position.x;
+            data.y = position.y;
+            if (data._id && canvas.scene.tokens.has(data._id)) delete data._id;
+            // Runtime flags of this module must not survive the round trip
+            if (data.flags?.[MODULE_ID]) delete data.flags[MODULE_ID].parked;
+            return data;
         }
 
-        if (updateBatch.length > 0) {
-            await canvas.scene.updateEmbeddedDocuments('Token', updateBatch, {
-                animate: true,
-                animation: { duration: 500, easing: 'easeOutCubic' }
-            });
-        }
+        return {
+            actorId: member.actorId,
+            name: member.name,
+            texture: {
+                src: member.img,
+                scaleX: member.scaleX ?? 1,
+                scaleY: member.scaleY ?? 1
+            },
+            x: position.x,
+            y: position.y,
+            width: member.width ?? 1,
+            height: member.height ?? 1,
+            rotation: member.rotation ?? 0,
+            elevation: member.elevation ?? 0,
+            disposition: member.disposition ?? CONST.TOKEN_DISPOSITIONS.FRIENDLY,
+            sight: member.vision ?? {},
+            light: member.light ?? {}
+        };
     }
 
     /**
      * Восстановить участников группы
+     * Спрятанные токены возвращаются на сцену, недостающие — создаются заново
+     * @returns {Array<TokenDocument|null>} - Документы по индексу участника (null — актёра нет, участник пропущен)
      */
     async _restoreMembers(members, positions, options = { animate: true }) {
         const tokensData = [];
+        const unparkUpdates = [];
+        const restoreOrder = []; // { parkedId } по индексу участника; parkedId null — токен создаётся, null — пропущен
 
         for (let i = 0; i < members.length; i++) {
             const member = members[i];
             const position = positions[i] || positions[positions.length - 1] || { x: 0, y: 0 };
 
+            // Токен спрятан на сцене — возвращаем тот же документ
+            const parkedDoc = this._getParkedDocument(member);
+            if (parkedDoc) {
+                unparkUpdates.push(this._getUnparkUpdate(parkedDoc, position));
+                restoreOrder.push({ parkedId: parkedDoc.id });
+                continue;
+            }
+
             // Получаем актёра для восстановления токена
             const actor = game.actors.get(member.actorId);
             if (!actor) {
                 console.warn(`${MODULE_ID} | Actor not found: ${member.actorId} (${member.name})`);
+                restoreOrder.push(null);
                 continue;
             }
 
-            const tokenData = {
-                actorId: member.actorId,
-                name: member.name,
-                texture: {
-                    src: member.img,
-                    scaleX: member.scaleX ?? 1,
-                    scaleY: member.scaleY ?? 1
-                },
-                x: position.x,
-                y: position.y,
-                width: member.width ?? 1,
-                height: member.height ?? 1,
-                rotation: member.rotation ?? 0,
-                elevation: member.elevation ?? 0,
-                disposition: member.disposition ?? CONST.TOKEN_DISPOSITIONS.FRIENDLY,
-                sight: member.vision ?? {},
-                light: member.light ?? {}
-            };
-            tokensData.push(tokenData);
+            tokensData.push(this._buildTokenDataFromMember(member, position));
+            restoreOrder.push({ parkedId: null });
         }
 
-        if (tokensData.length === 0) {
+        if (tokensData.length === 0 && unparkUpdates.length === 0) {
             console.warn(`${MODULE_ID} | _restoreMembers: no valid tokens to create`);
             return [];
         }
 
-        // Создаём все токены одной batch-операцией
-        const createdDocs = await canvas.scene.createEmbeddedDocuments('Token', tokensData);
-        return createdDocs;
+        // Возвращаем спрятанные токены без анимации (они стоят на месте сбора)
+        if (unparkUpdates.length > 0) {
+            await canvas.scene.updateEmbeddedDocuments('Token', unparkUpdates, { animate: false });
+        }
+
+        // Создаём все недостающие токены одной batch-операцией (с исходными ID)
+        const createdDocs = tokensData.length > 0
+            ? await canvas.scene.createEmbeddedDocuments('Token', tokensData, { keepId: true })
+            : [];
+
+        // Keep member indices so results line up with the positions array
+        let createdIndex = 0;
+        return restoreOrder.map(entry => {
+            if (!entry) return null;
+            return entry.parkedId
+                ? canvas.scene.tokens.get(entry.parkedId) ?? null
+                : createdDocs[createdIndex++] ?? null;
+        });
     }
 
     /**
@@ -1041,32 +1858,22 @@ export class PartyManager {
      * @returns {Token|null}
      */
     async _createTokenFromMember(member, x, y) {
+        // Спрятанный токен — просто возвращаем его на сцену
+        const parkedDoc = this._getParkedDocument(member);
+        if (parkedDoc) {
+            await canvas.scene.updateEmbeddedDocuments('Token', [this._getUnparkUpdate(parkedDoc, { x, y })], { animate: false });
+            return canvas.tokens.get(parkedDoc.id);
+        }
+
         const actor = game.actors.get(member.actorId);
         if (!actor) {
             console.warn(`${MODULE_ID} | _createTokenFromMember: actor not found ${member.actorId}`);
             return null;
         }
 
-        const tokenData = {
-            actorId: member.actorId,
-            name: member.name,
-            texture: {
-                src: member.img,
-                scaleX: member.scaleX ?? 1,
-                scaleY: member.scaleY ?? 1
-            },
-            x: x,
-            y: y,
-            width: member.width ?? 1,
-            height: member.height ?? 1,
-            rotation: member.rotation ?? 0,
-            elevation: member.elevation ?? 0,
-            disposition: member.disposition ?? CONST.TOKEN_DISPOSITIONS.FRIENDLY,
-            sight: member.vision ?? {},
-            light: member.light ?? {}
-        };
+        const tokenData = this._buildTokenDataFromMember(member, { x, y });
 
-        const [created] = await canvas.scene.createEmbeddedDocuments('Token', [tokenData]);
+        const [created] = await canvas.scene.createEmbeddedDocuments('Token', [tokenData], { keepId: true });
         return canvas.tokens.get(created.id);
     }
 
@@ -1078,6 +1885,8 @@ export class PartyManager {
     static getRelativeGridPositions(tokens) {
         if (!tokens || tokens.length === 0) return [];
 
+        if (GridGeometry.isHex()) return this._getRelativeHexPositions(tokens);
+
         const gridSize = canvas.grid.size;
 
         // 1. Calculate GEOMETRIC CENTER of the bounding box of all tokens
@@ -1191,6 +2000,53 @@ export class PartyManager {
         });
     }
 
+    /**
+     * getRelativeGridPositions для гексов: осевые координаты в шестиугольнике радиуса 2
+     * @param {Token[]} tokens
+     * @returns {Array<{tokenId: string, gridPos: {x: number, y: number}}>}
+     * @private
+     */
+    static _getRelativeHexPositions(tokens) {
+        // Опорный гекс — центр описанного прямоугольника всех токенов
+        const minX = Math.min(...tokens.map(t => t.x));
+        const maxX = Math.max(...tokens.map(t => t.x + t.w));
+        const minY = Math.min(...tokens.map(t => t.y));
+        const maxY = Math.max(...tokens.map(t => t.y + t.h));
+        const reference = { x: (minX + maxX) / 2, y: (minY + maxY) / 2 };
+
+        const rawPositions = tokens.map(token => ({
+            tokenId: token.id,
+            gridPos: GridGeometry.pointToGridPos(token.center, reference)
+        }));
+
+        // Как и на квадратной сетке: сдвигаем фигуру, только если она не влезает
+        if (rawPositions.some(p => !GridGeometry.isInArrangement(p.gridPos))) {
+            const shiftX = Math.round(rawPositions.reduce((sum, p) => sum + p.gridPos.x, 0) / rawPositions.length);
+            const shiftY = Math.round(rawPositions.reduce((sum, p) => sum + p.gridPos.y, 0) / rawPositions.length);
+            for (const p of rawPositions) {
+                p.gridPos = { x: p.gridPos.x - shiftX, y: p.gridPos.y - shiftY };
+            }
+        }
+
+        const cells = GridGeometry.getArrangementCells();
+        const occupied = new Set();
+
+        return rawPositions.map(p => {
+            let target = GridGeometry.clampToArrangement(p.gridPos);
+
+            // Гекс занят — ближайший свободный
+            if (occupied.has(`${target.x},${target.y}`)) {
+                const free = cells
+                    .filter(c => !occupied.has(`${c.x},${c.y}`))
+                    .sort((a, b) => GridGeometry.getGridPosDistance(a, target) - GridGeometry.getGridPosDistance(b, target));
+                if (free.length > 0) target = free[0];
+            }
+
+            occupied.add(`${target.x},${target.y}`);
+            return { tokenId: p.tokenId, gridPos: target };
+        });
+    }
+
     // NOTE: _createTokenFromMember is defined above (single definition, no duplicate)
 
     /**
@@ -1220,37 +2076,232 @@ export class PartyManager {
 
     /**
      * Сохранить состояние группы во флаги сцены
+     * Каждая группа — отдельная запись `parties.<partyId>` на сцене её токена (Token или TokenDocument)
+     */
+    async _savePartyState(partyToken, members) {
+        const tokenDoc = partyToken.document ?? partyToken;
+        const partyId = this._getPartyId(partyToken);
+        await tokenDoc.parent.update({
+            [`flags.${MODULE_ID}.parties.${partyId}`]: {
+                partyTokenId: partyToken.id,
+                name: this._getPartyName(partyToken),
+                formation: tokenDoc.getFlag(MODULE_ID, 'formation') ?? null,
+                members: members.map(m => ({ tokenId: m.tokenId, actorId: m.actorId }))
+            }
+        });
+    }
+
+    /**
+     * Очистить состояние одной группы (и устаревший флаг activeParty)
+     * @param {string} partyId
+     * @param {Scene} [scene] - По умолчанию — текущая сцена
+     */
+    async _clearPartyState(partyId, scene = canvas.scene) {
+        const updates = { [`flags.${MODULE_ID}.parties.-=${partyId}`]: null };
+        if (scene.getFlag(MODULE_ID, 'activeParty')) {
+            updates[`flags.${MODULE_ID}.-=activeParty`] = null;
+        }
+        await scene.update(updates);
+    }
+
+    /**
+     * Запомнить данные группы в кэше
      */
-    async _savePartyState(partyTokenId, members) {
-        await canvas.scene.setFlag(MODULE_ID, 'activeParty', {
-            partyTokenId,
-            members: members.map(m => ({ tokenId: m.tokenId, actorId: m.actorId }))
+    _cacheParty(partyToken, members) {
+        const partyId = this._getPartyId(partyToken);
+        this._partyCache.set(partyId, {
+            partyId,
+            name: this._getPartyName(partyToken),
+            partyTokenId: partyToken.id,
+            members
         });
     }
 
     /**
-     * Очистить состояние группы
+     * ID группы (токены старых версий без partyId используют свой ID)
+     * @param {Token|TokenDocument} partyToken
+     * @returns {string}
+     */
+    _getPartyId(partyToken) {
+        return (partyToken.document ?? partyToken).getFlag(MODULE_ID, 'partyId') ?? partyToken.id;
+    }
+
+    /**
+     * Название группы
+     * @param {Token|TokenDocument} partyToken
+     * @returns {string}
      */
-    async _clearPartyState() {
-        await canvas.scene.unsetFlag(MODULE_ID, 'activeParty');
+    _getPartyName(partyToken) {
+        const tokenDoc = partyToken.document ?? partyToken;
+        return tokenDoc.getFlag(MODULE_ID, 'partyName') ?? tokenDoc.name;
+    }
+
+    /**
+     * Название новой группы по умолчанию: «Группа N»
+     */
+    _getDefaultPartyName() {
+        const names = new Set(this.getPartyTokens().map(t => this._getPartyName(t)));
+        let number = names.size + 1;
+        let name = game.i18n.format('GROUP_POVUXA.Party.DefaultName', { number });
+        while (names.has(name)) {
+            name = game.i18n.format('GROUP_POVUXA.Party.DefaultName', { number: ++number });
+        }
+        return name;
     }
 
     /**
      * Найти токен группы на текущей сцене
+     * @param {string} [partyId] - ID группы (или ID её токена)
+     * @returns {Token|null} - Указанная группа; без ID — выбранная, иначе первая
      */
-    _findPartyToken() {
-        return canvas.tokens.placeables.find(t =>
-            t.document.getFlag(MODULE_ID, 'isPartyToken')
-        );
+    _findPartyToken(partyId = null) {
+        const partyTokens = this.getPartyTokens();
+        if (partyId) {
+            return partyTokens.find(t => this._getPartyId(t) === partyId || t.id === partyId) ?? null;
+        }
+        return partyTokens.find(t => t.controlled) ?? partyTokens[0] ?? null;
+    }
+
+    /**
+     * Найти токен группы, в которой состоит участник
+     * @param {string} tokenId - ID токена участника
+     * @returns {Token|null}
+     */
+    _findPartyTokenByMember(tokenId) {
+        return this.getPartyTokens().find(t =>
+            (t.document.getFlag(MODULE_ID, 'members') || []).some(m => m.tokenId === tokenId)
+        ) ?? null;
+    }
+
+    /**
+     * Запомнить направление движения токена группы (вызывается из preUpdateToken)
+     *
+     * Направление пишется во флаг heading тем же обновлением, поэтому
+     * доступно всем клиентам. Ручной поворот без перемещения сбрасывает
+     * heading — побеждает последнее действие пользователя.
+     * Тем же обновлением дописывается след trail (см. _extendTrail).
+     *
+     * @param {TokenDocument} tokenDoc - Документ до изменения
+     * @param {Object} changes - Изменения (дополняются флагом)
+     * @param {Object} options - Опции обновления (в v13 содержат movement)
+     */
+    trackMovement(tokenDoc, changes, options = {}) {
+        // Токен группы или ведущий в режиме «за ведущим» (FollowMode)
+        if (!tokenDoc.getFlag(MODULE_ID, 'isPartyToken') && !tokenDoc.getFlag(MODULE_ID, 'follow')) return;
+
+        const moved = ('x' in changes) || ('y' in changes);
+        if (!moved) {
+            if ('rotation' in changes) {
+                foundry.utils.setProperty(changes, `flags.${MODULE_ID}.-=heading`, null);
+            }
+            return;
+        }
+
+        // Последний отрезок пути: путевые точки v13, иначе — разница позиций
+        const waypoints = options.movement?.[tokenDoc.id]?.waypoints ?? [];
+        const to = waypoints.at(-1) ?? { x: changes.x ?? tokenDoc.x, y: changes.y ?? tokenDoc.y };
+        const from = waypoints.at(-2) ?? { x: tokenDoc.x, y: tokenDoc.y };
+
+        this._extendTrail(tokenDoc, changes, [{ x: tokenDoc.x, y: tokenDoc.y }, ...waypoints, to]);
+
+        const dx = (to.x ?? tokenDoc.x) - (from.x ?? tokenDoc.x);
+        const dy = (to.y ?? tokenDoc.y) - (from.y ?? tokenDoc.y);
+        if (Math.hypot(dx, dy) < 1) return;
+
+        // 0 = север, 90 = восток (ось y экрана направлена вниз)
+        const heading = Math.normalizeDegrees(Math.toDegrees(Math.atan2(dx, -dy)));
+        foundry.utils.setProperty(changes, `flags.${MODULE_ID}.heading`, heading);
+    }
+
+    /**
+     * Дописать в след группы клетки пройденного пути
+     *
+     * След — центры клеток (без сетки — точки через клетку), старые первыми,
+     * не длиннее настройки trailLength. По нему «Змейка» разворачивается
+     * назад по пути, которым группа пришла.
+     *
+     * @param {TokenDocument} tokenDoc - Документ до изменения
+     * @param {Object} changes - Изменения (дополняются флагом)
+     * @param {Array<{x?: number, y?: number}>} points - Top-left позиции пути по порядку
+     * @private
+     */
+    _extendTrail(tokenDoc, changes, points) {
+        const length = game.settings.get(MODULE_ID, 'trailLength');
+        if (!length) return;
+
+        const grid = canvas.grid;
+        const w = grid.sizeX * tokenDoc.width;
+        const h = grid.sizeY * tokenDoc.height;
+        const toCell = (p) => {
+            const center = { x: (p.x ?? tokenDoc.x) + w / 2, y: (p.y ?? tokenDoc.y) + h / 2 };
+            return grid.isGridless ? center : TokenPlacer.snapToGrid(center.x, center.y);
+        };
+
+        const trail = [...(tokenDoc.getFlag(MODULE_ID, 'trail') ?? [])];
+        const push = (cell) => {
+            const last = trail.at(-1);
+            if (!last || Math.hypot(last.x - cell.x, last.y - cell.y) >= 1) trail.push({ x: cell.x, y: cell.y });
+        };
+
+        // Каждый отрезок — клетка за клеткой, чтобы повороты пути попали в след
+        const cells = points.map(toCell);
+        push(cells[0]);
+        for (let i = 1; i < cells.length; i++) {
+            const a = cells[i - 1], b = cells[i];
+            const steps = Math.ceil(Math.hypot(b.x - a.x, b.y - a.y) / grid.size);
+            for (let s = 1; s <= steps; s++) {
+                const point = { x: a.x + (b.x - a.x) * s / steps, y: a.y + (b.y - a.y) * s / steps };
+                push(grid.isGridless ? point : TokenPlacer.snapToGrid(point.x, point.y));
+            }
+        }
+
+        foundry.utils.setProperty(changes, `flags.${MODULE_ID}.trail`, trail.slice(-length));
+    }
+
+    /**
+     * Определить направление группы — куда она шла в последний раз
+     *
+     * Если группа не двигалась после сбора (или её повернули вручную),
+     * используется поворот токена.
+     *
+     * @param {Token} token - Токен группы
+     * @returns {number} - Угол в градусах (0 = север, 90 = восток)
+     */
+    getMovementDirection(token) {
+        const heading = token.document.getFlag(MODULE_ID, 'heading');
+        const direction = Number.isFinite(heading) ? heading : (token.document.rotation || 0);
+        return this._snapDirection(direction);
+    }
+
+    /**
+     * Направление строя в целевой области: лицом к точке входа,
+     * чтобы ведущий стоял у входа, а остальные уходили вглубь
+     * @param {Object} area - Результат TokenPlacer.resolveArea
+     * @param {{x: number, y: number}} entry - Точка входа
+     * @returns {number|null} - null, если вход в самом центре области
+     */
+    _getAreaFacing(area, entry) {
+        const { x, y, width, height } = area.bounds;
+        const dx = entry.x - (x + width / 2);
+        const dy = entry.y - (y + height / 2);
+        if (Math.hypot(dx, dy) < 1) return null;
+        return this._snapDirection(Math.normalizeDegrees(Math.toDegrees(Math.atan2(dx, -dy))));
     }
 
     /**
-     * Определить направление последнего движения
+     * Округлить направление до направлений сетки:
+     * 8 на квадратной, 6 на гексагональной, без изменений на безсеточной
+     * @param {number} direction - Угол в градусах
+     * @returns {number}
      */
-    _getMovementDirection(token) {
-        // Возвращаем угол в градусах (0 = север, 90 = восток)
-        // TODO: отслеживать историю движения
-        return 0;
+    _snapDirection(direction) {
+        const grid = canvas.grid;
+        if (!game.settings.get(MODULE_ID, 'snapFacing') || grid.isGridless) return direction;
+
+        // Соседи гекса-«строки» (заострённый верх) лежат на 30°, 90°, ...; «колонки» — на 0°, 60°, ...
+        const step = grid.isHexagonal ? 60 : 45;
+        const offset = (grid.isHexagonal && !grid.columns) ? 30 : 0;
+        return Math.normalizeDegrees(Math.round((direction - offset) / step) * step + offset);
     }
 
     /**
@@ -0,0 +1,165 @@
+/**
+ * PartyRosters — сохранённые составы групп
+ *
+ * Состав хранится в настройке мира `rosters` (id -> состав) и не зависит от
+ * сцены: участники записаны UUID актёров, поэтому «Собрать состав» находит
+ * их токены на любой сцене и передаёт в gatherParty вместе с местами в сетке,
+ * ролями и шаблоном роспуска.
+ *
+ * Состав: { id, name, formation, members: [{ actorUuid, name, order, role, gridPos }] }
+ * Места в сетке — в координатах сцены, на которой состав сохранён (на гексах — осевые).
+ */
+
+import { MODULE_ID } from './main.js';
+
+export class PartyRosters {
+
+    /**
+     * Все сохранённые составы
+     * @returns {Object[]} - По названию
+     */
+    static getAll() {
+        return Object.values(game.settings.get(MODULE_ID, 'rosters') || {})
+            .sort((a, b) => a.name.localeCompare(b.name, game.i18n.lang));
+    }
+
+    /**
+     * Состав по ID или названию
+     * @param {string} idOrName
+     * @returns {Object|null}
+     */
+    static get(idOrName) {
+        const rosters = game.settings.get(MODULE_ID, 'rosters') || {};
+        return rosters[idOrName] ?? Object.values(rosters).find(r => r.name === idOrName) ?? null;
+    }
+
+    /**
+     * Сохранить состав (только ГМ — это настройка мира)
+     * @param {string} name
+     * @param {Array<{actorId: string, name: string, role: string, gridPos: {x: number, y: number}}>} members - В порядке марша
+     * @param {Object} [options]
+     * @param {string} [options.id] - Перезаписать существующий состав
+     * @param {string} [options.formation] - Шаблон роспуска (по умолчанию — настройка defaultFormation)
+     * @returns {Promise<string|null>} - ID состава
+     */
+    static async save(name, members, options = {}) {
+        name = name?.trim();
+        const withActors = (members ?? []).filter(m => m.actorId);
+        if (!name || withActors.length === 0) return null;
+
+        if (!game.user.isGM) {
+            ui.notifications.warn(game.i18n.localize('GROUP_POVUXA.Notifications.RosterGMOnly'));
+            return null;
+        }
+
+        const id = options.id ?? `roster_${foundry.utils.randomID()}`;
+        const roster = {
+            id,
+            name,
+            formation: options.formation ?? game.settings.get(MODULE_ID, 'defaultFormation'),
+            members: withActors.map((member, index) => ({
+                actorUuid: game.actors.get(member.actorId)?.uuid ?? `Actor.${member.actorId}`,
+                name: member.name,
+                order: index,
+                role: member.role ?? (index === 0 ? 'leader' : 'member'),
+                gridPos: member.gridPos ? { x: member.gridPos.x, y: member.gridPos.y } : null
+            }))
+        };
+
+        const rosters = game.settings.get(MODULE_ID, 'rosters') || {};
+        rosters[id] = roster;
+        await game.settings.set(MODULE_ID, 'rosters', rosters);
+        ui.notifications.info(game.i18n.format('GROUP_POVUXA.Notifications.RosterSaved', { name }));
+        return id;
+    }
+
+    /**
+     * Удалить состав (только ГМ)
+     * @param {string} id
+     */
+    static async delete(id) {
+        const rosters = game.settings.get(MODULE_ID, 'rosters') || {};
+        if (!rosters[id]) return;
+
+        if (!game.user.isGM) {
+            ui.notifications.warn(game.i18n.localize('GROUP_POVUXA.Notifications.RosterGMOnly'));
+            return;
+        }
+
+        delete rosters[id];
+        await game.settings.set(MODULE_ID, 'rosters', rosters);
+        ui.notifications.info(game.i18n.localize('GROUP_POVUXA.Notifications.RosterDeleted'));
+    }
+
+    /**
+     * Найти токены участников состава на текущей сцене
+     * @param {Object} roster
+     * @returns {{found: Array<{member: Object, token: Token}>, missing: Object[]}}
+     */
+    static findTokens(roster) {
+        const found = [];
+        const missing = [];
+        const used = new Set();
+
+        for (const member of roster.members) {
+            const actorId = fromUuidSync(member.actorUuid)?.id ?? foundry.utils.parseUuid(member.actorUuid)?.id;
+
+            // Токен актёра, ещё не занятый другой группой (спрятанный участник тоже не в счёт)
+            const token = canvas.tokens.placeables.find(t =>
+                !used.has(t.id)
+                && t.document.actorId === actorId
+                && !t.document.getFlag(MODULE_ID, 'isPartyToken')
+                && !t.document.getFlag(MODULE_ID, 'parked')
+            );
+
+            if (token) {
+                used.add(token.id);
+                found.push({ member, token });
+            } else {
+                missing.push(member);
+            }
+        }
+
+        return { found, missing };
+    }
+
+    /**
+     * «Собрать состав»: найти токены участников и собрать их в группу
+     * с сохранёнными местами, ролями и шаблоном
+     * @param {string} idOrName - ID или название состава
+     * @param {Object} [options] - Опции gatherParty (переопределяют сохранённые)
+     * @returns {Promise<Token|null>} - Токен группы
+     */
+    static async gather(idOrName, options = {}) {
+        const roster = this.get(idOrName);
+        if (!roster) {
+            ui.notifications.warn(game.i18n.localize('GROUP_POVUXA.Notifications.RosterNotFound'));
+            return null;
+        }
+
+        const { found, missing } = this.findTokens(roster);
+        if (found.length === 0) {
+            ui.notifications.warn(game.i18n.format('GROUP_POVUXA.Notifications.RosterNoTokens', { name: roster.name }));
+            return null;
+        }
+        if (missing.length > 0) {
+            ui.notifications.info(game.i18n.format('GROUP_POVUXA.Notifications.RosterMissing', {
+                name: roster.name,
+                members: missing.map(m => m.name).join(', ')
+            }));
+        }
+
+        // Ведущий — первым, остальные в порядке марша
+        found.sort((a, b) => (b.member.role === 'leader') - (a.member.role === 'leader') || a.member.order - b.member.order);
+
+        return game.groupPovuxa.manager.gatherParty(found.map(({ token }) => token), {
+            name: roster.name,
+            formation: roster.formation,
+            initialPositions: found
+                .filter(({ member }) => member.gridPos)
+                .map(({ member, token }) => ({ tokenId: token.id, gridPos: member.gridPos })),
+            roles: Object.fromEntries(found.map(({ member, token }) => [token.id, member.role])),
+            ...options
+        });
+    }
+}
@@ -0,0 +1,267 @@
+/**
+ * PartyStatusSync — состояния группы и участников
+ *
+ * Состояния из настройки `syncStatuses` отражаются в обе стороны:
+ * - включили на токене группы — оно появляется у всех участников, сняли — снимается;
+ * - у участника появилось — появляется и на токене группы, пропало у последнего — снимается.
+ * Синхронизацию выполняет активный ГМ (хуки create/deleteActiveEffect, сбор группы), созданное
+ * и удалённое им помечается опцией `groupPovuxaSync`, чтобы не уходить по кругу.
+ *
+ * Состояния из настройки `badgeStatuses` (без сознания, истощение…) на токен группы
+ * не переносятся — их показывает значок в углу токена: иконка и число участников.
+ */
+
+import { MODULE_ID } from './main.js';
+import { PartyDistribution } from './party-distribution.js';
+
+export class PartyStatusSync {
+
+    /**
+     * ID состояний из настройки-списка
+     * @param {'syncStatuses'|'badgeStatuses'} key
+     * @returns {Set<string>}
+     */
+    static getStatuses(key) {
+        const value = game.settings.get(MODULE_ID, key) || '';
+        return new Set(value.split(',').map(s => s.trim()).filter(Boolean));
+    }
+
+    /**
+     * Синхронизируемые состояния эффекта
+     * @param {ActiveEffect} effect
+     * @returns {string[]}
+     */
+    static getSyncedStatuses(effect) {
+        const synced = this.getStatuses('syncStatuses');
+        return [...effect.statuses].filter(s => synced.has(s));
+    }
+
+    /**
+     * Актёры участников группы
+     * @param {TokenDocument} partyDoc
+     * @returns {Actor[]}
+     */
+    static getMemberActors(partyDoc) {
+        const actors = (partyDoc.getFlag(MODULE_ID, 'members') || [])
+            .map(member => PartyDistribution.getMemberActor(member, partyDoc.parent))
+            .filter(Boolean);
+        return [...new Set(actors)];
+    }
+
+    /**
+     * Токены групп, в которых состоит актёр (на всех сценах)
+     * @param {Actor} actor
+     * @returns {TokenDocument[]}
+     */
+    static getPartyDocuments(actor) {
+        return game.scenes.contents.flatMap(scene => scene.tokens.filter(doc =>
+            doc.getFlag(MODULE_ID, 'isPartyToken')
+            && (doc.getFlag(MODULE_ID, 'members') || []).some(m => PartyDistribution.getMemberActor(m, scene) === actor)
+        ));
+    }
+
+    // ==========================================
+    // СИНХРОНИЗАЦИЯ (активный ГМ)
+    // ==========================================
+
+    /**
+     * Эффект создан (хук createActiveEffect)
+     * @param {ActiveEffect} effect
+     * @param {Object} options
+     */
+    static async onCreateActiveEffect(effect, options) {
+        if (options.groupPovuxaSync || !(effect.parent instanceof Actor)) return;
+
+        const statuses = this.getSyncedStatuses(effect);
+        if (statuses.length === 0) return;
+
+        const actor = effect.parent;
+        if (actor.getFlag(MODULE_ID, 'isPartyActor')) {
+            const partyDoc = actor.token;
+            if (!partyDoc?.getFlag(MODULE_ID, 'isPartyToken')) return;
+
+            // Токен группы → все участники
+            for (const member of this.getMemberActors(partyDoc)) {
+                if (statuses.every(s => member.statuses.has(s))) continue;
+                const data = effect.toObject();
+                const keepId = !member.effects.has(data._id);
+                if (!keepId) delete data._id;
+                await member.createEmbeddedDocuments('ActiveEffect', [data], { keepId, groupPovuxaSync: true });
+            }
+            return;
+        }
+
+        // Участник → токены его групп
+        for (const partyDoc of this.getPartyDocuments(actor)) {
+            await this._addStatuses(partyDoc.actor, statuses);
+        }
+    }
+
+    /**
+     * Эффект удалён (хук deleteActiveEffect)
+     * @param {ActiveEffect} effect
+     * @param {Object} options
+     */
+    static async onDeleteActiveEffect(effect, options) {
+        if (options.groupPovuxaSync || !(effect.parent instanceof Actor)) return;
+
+        const statuses = this.getSyncedStatuses(effect);
+        if (statuses.length === 0) return;
+
+        const actor = effect.parent;
+        if (actor.getFlag(MODULE_ID, 'isPartyActor')) {
+            const partyDoc = actor.token;
+            if (!partyDoc?.getFlag(MODULE_ID, 'isPartyToken')) return;
+
+            // Сняли с токена группы — снимаем со всех участников
+            for (const member of this.getMemberActors(partyDoc)) {
+                await this._removeStatuses(member, statuses);
+            }
+            return;
+        }
+
+        // С токена группы снимается, только если больше ни у кого из участников нет
+        for (const partyDoc of this.getPartyDocuments(actor)) {
+            const members = this.getMemberActors(partyDoc);
+            const gone = statuses.filter(s => !members.some(m => m.statuses.has(s)));
+            await this._removeStatuses(partyDoc.actor, gone);
+        }
+    }
+
+    /**
+     * Группа собрана или пополнена: перенести состояния участников на токен группы
+     * @param {TokenDocument} partyDoc
+     */
+    static async syncFromMembers(partyDoc) {
+        const synced = this.getStatuses('syncStatuses');
+        const statuses = new Set(this.getMemberActors(partyDoc).flatMap(actor => [...actor.statuses]));
+        await this._addStatuses(partyDoc.actor, [...statuses].filter(s => synced.has(s)));
+    }
+
+    /**
+     * Добавить недостающие состояния актёру
+     * @param {Actor} actor
+     * @param {string[]} statuses
+     * @private
+     */
+    static async _addStatuses(actor, statuses) {
+        const missing = statuses.filter(s => !actor?.statuses.has(s));
+        if (missing.length === 0) return;
+
+        const cls = getDocumentClass('ActiveEffect');
+        const effects = [];
+        for (const statusId of missing) {
+            if (!CONFIG.statusEffects.some(s => s.id === statusId)) continue;
+            const effect = await cls.fromStatusEffect(statusId);
+            effects.push(effect.toObject());
+        }
+        if (effects.length > 0) {
+            await actor.createEmbeddedDocuments('ActiveEffect', effects, { keepId: true, groupPovuxaSync: true });
+        }
+    }
+
+    /**
+     * Удалить эффекты с этими состояниями
+     * @param {Actor} actor
+     * @param {string[]} statuses
+     * @private
+     */
+    static async _removeStatuses(actor, statuses) {
+        if (!actor || statuses.length === 0) return;
+
+        const ids = actor.effects.filter(e => statuses.some(s => e.statuses.has(s))).map(e => e.id);
+        if (ids.length > 0) {
+            await actor.deleteEmbeddedDocuments('ActiveEffect', ids, { groupPovuxaSync: true });
+        }
+    }
+
+    // ==========================================
+    // ЗНАЧОК НА ТОКЕНЕ ГРУППЫ
+    // ==========================================
+
+    /**
+     * Эффект участника изменился — перерисовать значки его групп на этой сцене
+     * @param {ActiveEffect} effect
+     */
+    static onMemberEffectChanged(effect) {
+        const actor = effect.parent;
+        if (!(actor instanceof Actor) || actor.getFlag(MODULE_ID, 'isPartyActor') || !canvas.scene) return;
+
+        for (const token of canvas.tokens.placeables) {
+            if (!token.document.getFlag(MODULE_ID, 'isPartyToken')) continue;
+            if (this.getMemberActors(token.document).includes(actor)) this.refreshBadge(token);
+        }
+    }
+
+    /**
+     * Нарисовать значок с состояниями участников (хук refreshToken)
+     * Перерисовывается только при смене набора состояний
+     * @param {Token} token
+     */
+    static async refreshBadge(token) {
+        if (!token.document.getFlag(MODULE_ID, 'isPartyToken')) return;
+
+        // Токен перерисован — контейнер уничтожен вместе с ним
+        if (token._groupPovuxaBadge?.destroyed) {
+            token._groupPovuxaBadge = null;
+            token._groupPovuxaBadgeKey = null;
+        }
+
+        const counts = this._countBadgeStatuses(token.document);
+        const key = `${token.w}|${JSON.stringify(counts)}`;
+        if (token._groupPovuxaBadgeKey === key) return;
+        token._groupPovuxaBadgeKey = key;
+
+        const badge = token._groupPovuxaBadge ??= token.addChild(new PIXI.Container());
+        badge.removeChildren().forEach(child => child.destroy({ children: true }));
+        if (counts.length === 0) return;
+
+        const size = Math.round(token.w / 4);
+        for (const [index, { img, count }] of counts.entries()) {
+            const texture = await foundry.canvas.loadTexture(img);
+            if (badge.destroyed || token._groupPovuxaBadgeKey !== key) return;
+
+            const icon = new PIXI.Container();
+            icon.position.set(token.w - size, index * size);
+
+            const bg = new PIXI.Graphics();
+            bg.beginFill(0x000000, 0.6).lineStyle(1, 0xff6400, 1).drawCircle(size / 2, size / 2, size / 2).endFill();
+            icon.addChild(bg);
+
+            if (texture) {
+                const sprite = new PIXI.Sprite(texture);
+                sprite.width = sprite.height = size * 0.8;
+                sprite.position.set(size * 0.1, size * 0.1);
+                icon.addChild(sprite);
+            }
+
+            if (count > 1) {
+                const style = CONFIG.canvasTextStyle.clone();
+                style.fontSize = Math.max(10, Math.round(size * 0.5));
+                const text = new foundry.canvas.containers.PreciseText(String(count), style);
+                text.anchor.set(1, 1);
+                text.position.set(size, size);
+                icon.addChild(text);
+            }
+
+            badge.addChild(icon);
+        }
+    }
+
+    /**
+     * Сколько участников в каждом состоянии из badgeStatuses
+     * @param {TokenDocument} partyDoc
+     * @returns {Array<{id: string, img: string, count: number}>}
+     * @private
+     */
+    static _countBadgeStatuses(partyDoc) {
+        const actors = this.getMemberActors(partyDoc);
+        const result = [];
+        for (const id of this.getStatuses('badgeStatuses')) {
+            const count = actors.filter(actor => actor.statuses.has(id)).length;
+            const img = CONFIG.statusEffects.find(s => s.id === id)?.img;
+            if (count > 0 && img) result.push({ id, img, count });
+        }
+        return result;
+    }
+}
@@ -0,0 +1,153 @@
+/**
+ * Поведения регионов (Foundry v13 RegionBehavior)
+ *
+ * «Группа: авто-роспуск» — токен группы вошёл в регион (вход в подземелье,
+ * место засады) → disperseParty с заданным шаблоном и направлением.
+ * «Группа: точка сбора» — в регион вошёл токен → предложить собрать в группу
+ * всех союзников, стоящих в регионе.
+ *
+ * Типы объявлены в module.json (documentTypes.RegionBehavior) и получают
+ * имена `group-povuxa.autoDisperse` и `group-povuxa.rallyPoint`.
+ * Обработчики выполняются у пользователя, который двигал токен.
+ */
+
+import { MODULE_ID } from './main.js';
+import { FormationPresets } from './formation-presets.js';
+
+const { RegionBehaviorType } = foundry.data.regionBehaviors;
+const { AngleField, NumberField, StringField } = foundry.data.fields;
+
+/**
+ * Выбор шаблона: пустое значение — шаблон группы (или настройка defaultFormation)
+ * @returns {StringField}
+ */
+function formationField() {
+    return new StringField({
+        required: true,
+        blank: true,
+        initial: '',
+        choices: () => ({
+            '': game.i18n.localize('GROUP_POVUXA.Regions.PartyFormation'),
+            ...Object.fromEntries(FormationPresets.getAll().map(f => [f.id, f.name]))
+        })
+    });
+}
+
+/**
+ * Авто-роспуск группы при входе в регион
+ */
+export class AutoDisperseBehavior extends RegionBehaviorType {
+
+    static LOCALIZATION_PREFIXES = ['GROUP_POVUXA.Regions.AutoDisperse'];
+
+    static defineSchema() {
+        return {
+            formation: formationField(),
+            facing: new StringField({
+                required: true,
+                initial: 'movement',
+                choices: {
+                    movement: 'GROUP_POVUXA.Regions.FacingMovement',
+                    fixed: 'GROUP_POVUXA.Regions.FacingFixed'
+                }
+            }),
+            direction: new AngleField({ initial: 0 })
+        };
+    }
+
+    static events = {
+        [CONST.REGION_EVENTS.TOKEN_MOVE_IN]: this.#onTokenMoveIn
+    };
+
+    /**
+     * @this {AutoDisperseBehavior}
+     * @param {RegionEvent} event
+     */
+    static async #onTokenMoveIn(event) {
+        if (!event.user.isSelf) return;
+
+        const tokenDoc = event.data.token;
+        if (!tokenDoc.getFlag(MODULE_ID, 'isPartyToken') || tokenDoc.getFlag(MODULE_ID, 'dispersing')) return;
+        if (tokenDoc.parent !== canvas.scene) return;
+
+        // Сначала токен доходит до места, потом группа расходится
+        const partyToken = tokenDoc.object;
+        await partyToken?.movementAnimationPromise;
+        if (!partyToken?.document) return;
+
+        const options = {};
+        if (this.formation) options.formation = this.formation;
+        if (this.facing === 'fixed') options.direction = this.direction;
+        await game.groupPovuxa.manager.disperseParty(partyToken, options);
+    }
+}
+
+/**
+ * Точка сбора: предложить собрать союзников, вошедших в регион
+ */
+export class RallyPointBehavior extends RegionBehaviorType {
+
+    static LOCALIZATION_PREFIXES = ['GROUP_POVUXA.Regions.RallyPoint'];
+
+    static defineSchema() {
+        return {
+            minimum: new NumberField({ required: true, nullable: false, integer: true, min: 2, initial: 2 }),
+            name: new StringField({ required: true, blank: true, initial: '' }),
+            formation: formationField()
+        };
+    }
+
+    static events = {
+        [CONST.REGION_EVENTS.TOKEN_MOVE_IN]: this.#onTokenMoveIn
+    };
+
+    /**
+     * @this {RallyPointBehavior}
+     * @param {RegionEvent} event
+     */
+    static async #onTokenMoveIn(event) {
+        if (!event.user.isSelf || this.region.parent !== canvas.scene) return;
+
+        const manager = game.groupPovuxa.manager;
+        const entering = event.data.token.object;
+        if (!entering || !manager.isAlly(entering)) return;
+        await entering.movementAnimationPromise;
+
+        // Союзники в регионе — тот, кто вошёл, первым (станет ведущим)
+        const tokens = [...this.region.tokens]
+            .map(doc => doc.object)
+            .filter(token => token && manager.isAlly(token))
+            .sort((a, b) => (b === entering) - (a === entering));
+        if (tokens.length < this.minimum) return;
+
+        const names = tokens.map(t => `<li>${Handlebars.escapeExpression(t.name)}</li>`).join('');
+        const confirmed = await foundry.applications.api.DialogV2.confirm({
+            window: { title: this.parent.name || game.i18n.localize(`TYPES.RegionBehavior.${MODULE_ID}.rallyPoint`) },
+            content: `<p>${game.i18n.localize('GROUP_POVUXA.Prompts.RallyPointConfirm')}</p><ul>${names}</ul>`,
+            rejectClose: false
+        });
+        if (!confirmed) return;
+
+        const options = {};
+        if (this.name.trim()) options.name = this.name;
+        if (this.formation) options.formation = this.formation;
+        await manager.gatherParty(tokens, options);
+    }
+}
+
+export class PartyRegionBehaviors {
+
+    /**
+     * Зарегистрировать типы поведений (хук init)
+     */
+    static register() {
+        Object.assign(CONFIG.RegionBehavior.dataModels, {
+            [`${MODULE_ID}.autoDisperse`]: AutoDisperseBehavior,
+            [`${MODULE_ID}.rallyPoint`]: RallyPointBehavior
+        });
+        Object.assign(CONFIG.RegionBehavior.typeIcons, {
+            [`${MODULE_ID}.autoDisperse`]: 'fas fa-expand-arrows-alt',
+            [`${MODULE_ID}.rallyPoint`]: 'fas fa-flag'
+        });
+    }
+}
@@ -0,0 +1,383 @@
+/**
+ * PartySocket — ретрансляция действий игроков активному ГМу
+ *
+ * Игроки не могут создавать и удалять чужие токены, поэтому
+ * сбор, роспуск и правка группы выполняются на клиенте активного ГМа.
+ * Игрок отправляет запрос, ГМ проверяет права и отвечает результатом.
+ *
+ * Ограничение: ГМ должен смотреть ту же сцену, что и игрок —
+ * расстановка опирается на canvas (стены, сетка, токены).
+ */
+
+import { MODULE_ID } from './main.js';
+import { FormationPresets } from './formation-presets.js';
+
+export class PartySocket {
+
+    // Getter: MODULE_ID ещё не инициализирован при циклическом импорте из main.js
+    static get EVENT() {
+        return `module.${MODULE_ID}`;
+    }
+
+    // Время ожидания ответа ГМа (анимации сбора/роспуска занимают ~1с)
+    static TIMEOUT = 15000;
+
+    // requestId -> { resolve, timer }
+    static _pending = new Map();
+
+    /**
+     * Подписаться на сообщения модуля
+     */
+    static init() {
+        game.socket.on(this.EVENT, this._onMessage.bind(this));
+    }
+
+    /**
+     * Нужно ли отправлять действие ГМу вместо локального выполнения
+     * @returns {boolean}
+     */
+    static shouldRelay() {
+        return !game.user.isGM;
+    }
+
+    /**
+     * Отправить действие активному ГМу и дождаться результата
+     * @param {string} action - Имя действия (см. _execute)
+     * @param {Object} payload - Сериализуемые данные (только ID, без документов)
+     * @returns {Promise<Object|null>} - Результат или null при ошибке/таймауте
+     */
+    static request(action, payload = {}) {
+        if (!game.users.activeGM) {
+            ui.notifications.warn(game.i18n.localize('GROUP_POVUXA.Notifications.NoActiveGM'));
+            return Promise.resolve(null);
+        }
+
+        const requestId = foundry.utils.randomID();
+
+        return new Promise(resolve => {
+            const timer = setTimeout(() => {
+                this._pending.delete(requestId);
+                ui.notifications.warn(game.i18n.localize('GROUP_POVUXA.Notifications.RelayTimeout'));
+                resolve(null);
+            }, this.TIMEOUT);
+
+            this._pending.set(requestId, { resolve, timer });
+
+            game.socket.emit(this.EVENT, {
+                type: 'request',
+                action,
+                payload,
+                requestId,
+                userId: game.user.id,
+                sceneId: canvas.scene?.id
+            });
+        });
+    }
+
+    /**
+     * Обработчик всех сообщений модуля
+     * @param {Object} message
+     * @private
+     */
+    static async _onMessage(message) {
+        if (!message?.type) return;
+
+        if (message.type === 'response') {
+            this._onResponse(message);
+            return;
+        }
+
+        // Запросы выполняет только один клиент — активный ГМ
+        if (message.type === 'request' && game.user === game.users.activeGM) {
+            await this._onRequest(message);
+        }
+    }
+
+    /**
+     * ГМ: выполнить запрос игрока и отправить ответ
+     * @param {Object} message
+     * @private
+     */
+    static async _onRequest({ action, payload, requestId, userId, sceneId }) {
+        const response = { type: 'response', requestId, userId };
+
+        try {
+            const user = game.users.get(userId);
+            if (!user) throw new Error(`Unknown user ${userId}`);
+
+            if (!canvas.scene || canvas.scene.id !== sceneId) {
+                throw new Error(game.i18n.localize('GROUP_POVUXA.Notifications.RelaySceneMismatch'));
+            }
+
+            response.result = await this._execute(action, payload ?? {}, user);
+        } catch (e) {
+            console.warn(`${MODULE_ID} | Relay '${action}' from ${userId} failed:`, e);
+            response.error = e.message;
+        }
+
+        game.socket.emit(this.EVENT, response);
+    }
+
+    /**
+     * Игрок: получить ответ ГМа на свой запрос
+     * @param {Object} message
+     * @private
+     */
+    static _onResponse({ requestId, userId, result, error }) {
+        if (userId !== game.user.id) return;
+
+        const pending = this._pending.get(requestId);
+        if (!pending) return;
+
+        clearTimeout(pending.timer);
+        this._pending.delete(requestId);
+
+        if (error) {
+            ui.notifications.error(error);
+            pending.resolve(null);
+            return;
+        }
+        pending.resolve(result ?? {});
+    }
+
+    /**
+     * ГМ: проверить права и выполнить действие через PartyManager
+     * @param {string} action
+     * @param {Object} payload
+     * @param {User} user - Пользователь, отправивший запрос
+     * @returns {Promise<Object>} - Сериализуемый результат
+     * @private
+     */
+    static async _execute(action, payload, user) {
+        const manager = game.groupPovuxa.manager;
+
+        switch (action) {
+            case 'gatherParty': {
+                const tokens = this._getTokens(payload.tokenIds);
+                this._assertOwner(user, tokens.map(t => t.document));
+                const options = this._sanitizeGatherOptions(payload.options, tokens.map(t => t.id));
+                const partyToken = await manager.gatherParty(tokens, options);
+                return { partyTokenId: partyToken?.id ?? null };
+            }
+
+            case 'disperseParty': {
+                const partyToken = this._getPartyToken(payload.partyTokenId);
+                this._assertOwner(user, [partyToken.document]);
+                await manager.disperseParty(partyToken, this._sanitizeDisperseOptions(payload.options));
+                return {};
+            }
+
+            case 'emergencyScatter': {
+                const partyToken = this._getPartyToken(payload.partyTokenId);
+                this._assertOwner(user, [partyToken.document]);
+                await manager.emergencyScatter(partyToken);
+                return {};
+            }
+
+            case 'addMember': {
+                const partyToken = this._getPartyToken(payload.partyTokenId);
+                const [token] = this._getTokens([payload.tokenId]);
+                this._assertOwner(user, [partyToken.document, token.document]);
+                await manager.addMember(token, partyToken);
+                return {};
+            }
+
+            case 'removeMember': {
+                const partyToken = this._getPartyToken(payload.partyTokenId);
+                const members = partyToken.document.getFlag(MODULE_ID, 'members') || [];
+                const member = members.find(m => m.tokenId === payload.tokenId);
+                const actor = member ? game.actors.get(member.actorId) : null;
+                this._assertOwner(user, actor ? [partyToken.document, actor] : [partyToken.document]);
+                await manager.removeMember(payload.tokenId, partyToken);
+                return {};
+            }
+
+            case 'updateMembers': {
+                const partyToken = this._getPartyToken(payload.partyTokenId);
+                this._assertOwner(user, [partyToken.document]);
+                // Из опций — только шаблон, и только известный
+                const formation = payload.options?.formation;
+                const options = FormationPresets.get(formation) ? { formation } : {};
+                const members = Array.isArray(payload.members) ? payload.members.filter(m => m && typeof m === 'object') : [];
+                await manager.updateMembers(partyToken, members, options);
+                return {};
+            }
+
+            case 'moveToScene': {
+                const partyToken = this._getPartyToken(payload.partyTokenId);
+                this._assertOwner(user, [partyToken.document]);
+
+                // Сцена должна быть видна игроку (фильтр панели работает только на его клиенте)
+                const destination = game.scenes.get(payload.sceneId);
+                if (!destination?.testUserPermission(user, 'LIMITED')) {
+                    throw new Error(game.i18n.localize('GROUP_POVUXA.Notifications.SceneNotFound'));
+                }
+
+                const options = {};
+                if (Number.isFinite(payload.options?.x) && Number.isFinite(payload.options?.y)) {
+                    options.x = payload.options.x;
+                    options.y = payload.options.y;
+                }
+                if (typeof payload.options?.disperse === 'boolean') options.disperse = payload.options.disperse;
+
+                const created = await manager.moveToScene(partyToken, destination, options);
+                return { partyTokenId: created?.id ?? null };
+            }
+
+            case 'joinCombat': {
+                const partyToken = this._getPartyToken(payload.partyTokenId);
+                const combat = game.combats.get(payload.combatId);
+                if (!combat) throw new Error(`Unknown combat ${payload.combatId}`);
+                this._assertOwner(user, [partyToken.document]);
+                await game.groupPovuxa.combat.enterCombat(combat, partyToken, { surprised: !!payload.surprised });
+                return {};
+            }
+
+            case 'distribute': {
+                const partyToken = this._getPartyToken(payload.partyTokenId);
+                const distribution = game.groupPovuxa.distribution;
+                const mode = distribution.MODES.includes(payload.options?.mode)
+                    ? payload.options.mode
+                    : game.settings.get(MODULE_ID, 'distributionMode');
+                const slot = Number.isInteger(payload.options?.slot)
+                    ? payload.options.slot
+                    : game.settings.get(MODULE_ID, 'distributionSlot');
+
+                // Токеном группы владеют все игроки её участников — урон и эффекты
+                // достаются только тем, кем игрок владеет сам
+                const candidates = distribution.getTargets(partyToken, mode, slot);
+                this._assertOwner(user, [partyToken.document, ...candidates.map(t => t.actor)]);
+
+                const targets = await distribution.distribute(partyToken, {
+                    damage: Number.isFinite(payload.damage) ? payload.damage : 0,
+                    damageDetails: payload.damageDetails ?? null,
+                    effects: await distribution.fromStatuses(payload.statuses)
+                }, { mode, slot, targets: candidates });
+                return { count: targets.length };
+            }
+
+            case 'renameParty': {
+                const partyToken = this._getPartyToken(payload.partyTokenId);
+                this._assertOwner(user, [partyToken.document]);
+                await manager.renameParty(partyToken, payload.name);
+                return {};
+            }
+
+            default:
+                throw new Error(`Unknown action '${action}'`);
+        }
+    }
+
+    /**
+     * Опции сбора от игрока: только известные ключи с проверенными значениями
+     * (роли и позиции — лишь для собираемых токенов, как в updateMembers)
+     * @param {Object} [options]
+     * @param {string[]} tokenIds - ID собираемых токенов
+     * @returns {Object}
+     * @private
+     */
+    static _sanitizeGatherOptions(options, tokenIds) {
+        if (!options || typeof options !== 'object') return {};
+
+        const roles = ['leader', 'scout', 'rearguard', 'member'];
+        const sanitized = {};
+
+        if (typeof options.name === 'string') sanitized.name = options.name;
+        if (typeof options.animate === 'boolean') sanitized.animate = options.animate;
+        if (FormationPresets.get(options.formation)) sanitized.formation = options.formation;
+
+        if (Number.isFinite(options.center?.x) && Number.isFinite(options.center?.y)) {
+            sanitized.center = { x: options.center.x, y: options.center.y };
+        }
+
+        if (options.roles && typeof options.roles === 'object') {
+            sanitized.roles = Object.fromEntries(tokenIds
+                .filter(id => roles.includes(options.roles[id]))
+                .map(id => [id, options.roles[id]]));
+        }
+
+        if (Array.isArray(options.initialPositions)) {
+            const seen = new Set();
+            sanitized.initialPositions = options.initialPositions
+                .filter(p => tokenIds.includes(p?.tokenId) && !seen.has(p.tokenId)
+                    && Number.isInteger(p.gridPos?.x) && Number.isInteger(p.gridPos?.y))
+                .map(p => {
+                    seen.add(p.tokenId);
+                    return { tokenId: p.tokenId, gridPos: { x: p.gridPos.x, y: p.gridPos.y } };
+                });
+        }
+
+        return sanitized;
+    }
+
+    /**
+     * Опции роспуска от игрока: места всегда рассчитывает ГМ
+     * (готовые positions и чужой список members не принимаются)
+     * @param {Object} [options]
+     * @returns {Object}
+     * @private
+     */
+    static _sanitizeDisperseOptions(options) {
+        if (!options || typeof options !== 'object') return {};
+
+        const sanitized = {};
+
+        if (FormationPresets.get(options.formation)) sanitized.formation = options.formation;
+        if (Number.isFinite(options.direction)) sanitized.direction = options.direction;
+        if (typeof options.animate === 'boolean') sanitized.animate = options.animate;
+
+        if (Number.isFinite(options.center?.x) && Number.isFinite(options.center?.y)) {
+            sanitized.center = { x: options.center.x, y: options.center.y };
+        }
+
+        // Область — только документ текущей сцены
+        if (typeof options.area === 'string' && fromUuidSync(options.area)?.parent === canvas.scene) {
+            sanitized.area = options.area;
+        }
+
+        return sanitized;
+    }
+
+    /**
+     * Найти токены текущей сцены по ID
+     * @param {string[]} tokenIds
+     * @returns {Token[]}
+     * @private
+     */
+    static _getTokens(tokenIds = []) {
+        const tokens = tokenIds.map(id => canvas.tokens.get(id)).filter(Boolean);
+        if (tokens.length === 0) {
+            throw new Error(game.i18n.localize('GROUP_POVUXA.Notifications.NoTokensSelected'));
+        }
+        return tokens;
+    }
+
+    /**
+     * Найти токен группы текущей сцены по ID
+     * @param {string} partyTokenId
+     * @returns {Token}
+     * @private
+     */
+    static _getPartyToken(partyTokenId) {
+        const partyToken = canvas.tokens.get(partyTokenId);
+        if (!partyToken?.document.getFlag(MODULE_ID, 'isPartyToken')) {
+            throw new Error(game.i18n.localize('GROUP_POVUXA.Notifications.NoPartyToken'));
+        }
+        return partyToken;
+    }
+
+    /**
+     * Убедиться, что пользователь владеет всеми документами
+     * @param {User} user
+     * @param {ClientDocument[]} documents
+     * @private
+     */
+    static _assertOwner(user, documents) {
+        const denied = documents.filter(doc => !doc.testUserPermission(user, 'OWNER'));
+        if (denied.length > 0) {
+            throw new Error(game.i18n.format('GROUP_POVUXA.Notifications.RelayDenied', {
+                names: denied.map(doc => doc.name).join(', ')
+            }));
+        }
+    }
+}
@@ -9,6 +9,15 @@
  * 2. Diagonal movement requires at least one orthogonal path clear
  * 3. Reachability set pre-computation for grid position validation
  *
+ * Hex scenes step through canvas.grid.getAdjacentOffsets (6 neighbours,
+ * no corners to cut) and test occupancy by grid space instead of bounding box.
+ *
+ * Gridless scenes pack footprints on a triangular lattice spaced by the
+ * largest member's diameter, test occupancy by circle overlap and never snap.
+ *
+ * Placement can be confined to a target area (Drawing, MeasuredTemplate or
+ * Region, see resolveArea): the BFS neither places nor expands outside it.
+ *
  * Requires Foundry VTT v13+
  */
 
@@ -16,6 +25,33 @@ import { MODULE_ID } from './main.js';
 
 export class TokenPlacer {
 
+    // 4 cardinal + 4 diagonal directions (square grids)
+    static DIRECTIONS = [
+        { dx: 0, dy: -1, diagonal: false },   // N
+        { dx: 1, dy: 0, diagonal: false },     // E
+        { dx: 0, dy: 1, diagonal: false },     // S
+        { dx: -1, dy: 0, diagonal: false },    // W
+        { dx: 1, dy: -1, diagonal: true },     // NE
+        { dx: 1, dy: 1, diagonal: true },      // SE
+        { dx: -1, dy: 1, diagonal: true },     // SW
+        { dx: -1, dy: -1, diagonal: true }     // NW
+    ];
+
+    // Gridless lattice: six neighbours 60° apart (radians)
+    static LATTICE_ANGLES = [0, 1, 2, 3, 4, 5].map(i => i * Math.PI / 3);
+
+    // Gridless footprints may touch by this many pixels without counting as overlap
+    static GRIDLESS_TOLERANCE = 1;
+
+    // A* search budget (expanded cells) before a path is reported as missing
+    static PATH_MAX_NODES = 2000;
+
+    // BFS budget when walking from the party to a target area's entry
+    static AREA_ENTRY_MAX_CELLS = 5000;
+
+    // measureFreeWidth stops counting past this many spaces to each side
+    static FREE_WIDTH_MAX = 8;
+
     /**
      * Find valid positions for placing tokens using BFS flood-fill.
      * Returns positions that are:
@@ -28,26 +64,21 @@ export class TokenPlacer {
      * @param {number} count - Number of positions to find
      * @param {Object} options
      * @param {string[]} [options.excludeTokens] - Token IDs to ignore in occupancy checks
-     * @returns {Array<{x: number, y: number, distance: number}>}
+     * @param {number} [options.spacing] - Gridless only: packing distance (see getPackingSpacing)
+     * @param {number} [options.width=1] - Footprint width in grid spaces
+     * @param {number} [options.height=1] - Footprint height in grid spaces
+     * @param {Object} [options.area] - Only search inside this area (see resolveArea)
+     * @returns {Array<{x: number, y: number, distance: number}>} Footprint centres
      */
     static findValidPositions(centerX, centerY, count, options = {}) {
-        const gridSize = canvas.grid.size;
         const validPositions = [];
         const visited = new Set();
+        const spacing = options.spacing ?? canvas.grid.size;
+        const width = options.width ?? 1;
+        const height = options.height ?? 1;
+        const isSingleCell = width === 1 && height === 1;
 
-        const queue = [{ x: centerX, y: centerY, distance: 0 }];
-
-        // 4 cardinal + 4 diagonal directions
-        const directions = [
-            { dx: 0, dy: -1, diagonal: false },   // N
-            { dx: 1, dy: 0, diagonal: false },     // E
-            { dx: 0, dy: 1, diagonal: false },     // S
-            { dx: -1, dy: 0, diagonal: false },    // W
-            { dx: 1, dy: -1, diagonal: true },     // NE
-            { dx: 1, dy: 1, diagonal: true },      // SE
-            { dx: -1, dy: 1, diagonal: true },     // SW
-            { dx: -1, dy: -1, diagonal: true }     // NW
-        ];
+        const queue = [{ ...this._getStartPoint(centerX, centerY), distance: 0 }];
 
         const maxIterations = Math.max(2000, count * 500);
         let iterations = 0;
@@ -61,39 +92,45 @@ export class TokenPlacer {
             visited.add(key);
 
             if (!this.isWithinSceneBounds(current.x, current.y)) continue;
-
-            const occupied = this.isPositionOccupied(current.x, current.y, options.excludeTokens || []);
-
-            if (!occupied) {
-                validPositions.push({
-                    x: current.x,
-                    y: current.y,
-                    distance: current.distance
-                });
+            if (options.area && !options.area.contains(current.x, current.y)) continue;
+
+            if (isSingleCell) {
+                if (!this.isPositionOccupied(current.x, current.y, options.excludeTokens || [], spacing / 2)) {
+                    validPositions.push({
+                        x: current.x,
+                        y: current.y,
+                        distance: current.distance
+                    });
+                }
+            } else {
+                // Large tokens: every covered cell must be free, in bounds and not split by a wall
+                const footprint = this.snapFootprint(current.x, current.y, width, height);
+                const inArea = !options.area || this.isFootprintInArea(options.area, footprint.x, footprint.y, width, height);
+                if (inArea && this.isFootprintPlaceable(footprint.x, footprint.y, width, height, options.excludeTokens || [])) {
+                    validPositions.push({
+                        x: footprint.centerX,
+                        y: footprint.centerY,
+                        distance: current.distance
+                    });
+                }
             }
 
             // Expand to neighbors — check walls for each step
-            for (const dir of directions) {
-                const nextX = current.x + dir.dx * gridSize;
-                const nextY = current.y + dir.dy * gridSize;
-                const nextKey = `${Math.round(nextX)},${Math.round(nextY)}`;
+            for (const next of this._getNeighborSteps(current.x, current.y, spacing)) {
+                const nextKey = `${Math.round(next.x)},${Math.round(next.y)}`;
 
                 if (visited.has(nextKey)) continue;
 
                 // For diagonal movement, require at least one orthogonal neighbor to be reachable
                 // This prevents cutting corners through walls (D&D 5e movement rule)
-                if (dir.diagonal) {
-                    const ortho1Clear = this._isStepClear(current.x, current.y, current.x + dir.dx * gridSize, current.y);
-                    const ortho2Clear = this._isStepClear(current.x, current.y, current.x, current.y + dir.dy * gridSize);
-                    if (!ortho1Clear && !ortho2Clear) continue;
-                }
+                if (next.corners && !next.corners.some(c => this._isStepClear(current.x, current.y, c.x, c.y))) continue;
 
                 // Check direct wall collision between adjacent cells
-                if (!this._isStepClear(current.x, current.y, nextX, nextY)) continue;
+                if (!this._isStepClear(current.x, current.y, next.x, next.y, spacing)) continue;
 
                 queue.push({
-                    x: nextX,
-                    y: nextY,
+                    x: next.x,
+                    y: next.y,
                     distance: current.distance + 1
                 });
             }
@@ -111,25 +148,17 @@ export class TokenPlacer {
      * @param {number} centerX
      * @param {number} centerY
      * @param {number} maxCells - Maximum cells to explore
-     * @returns {Set<string>} Set of "x,y" keys (center coordinates)
+     * @param {Object} [options]
+     * @param {number} [options.spacing] - Gridless only: packing distance (see getPackingSpacing)
+     * @param {Object} [options.area] - Only explore inside this area (see resolveArea)
+     * @returns {Set<string>} Set of "x,y" keys (center coordinates), in BFS order
      */
-    static buildReachableSet(centerX, centerY, maxCells = 200) {
-        const gridSize = canvas.grid.size;
+    static buildReachableSet(centerX, centerY, maxCells = 200, options = {}) {
         const reachable = new Set();
         const visited = new Set();
+        const spacing = options.spacing ?? canvas.grid.size;
 
-        const queue = [{ x: centerX, y: centerY }];
-
-        const directions = [
-            { dx: 0, dy: -1, diagonal: false },
-            { dx: 1, dy: 0, diagonal: false },
-            { dx: 0, dy: 1, diagonal: false },
-            { dx: -1, dy: 0, diagonal: false },
-            { dx: 1, dy: -1, diagonal: true },
-            { dx: 1, dy: 1, diagonal: true },
-            { dx: -1, dy: 1, diagonal: true },
-            { dx: -1, dy: -1, diagonal: true }
-        ];
+        const queue = [this._getStartPoint(centerX, centerY)];
 
         let iterations = 0;
 
@@ -142,31 +171,256 @@ export class TokenPlacer {
             visited.add(key);
 
             if (!this.isWithinSceneBounds(current.x, current.y)) continue;
+            if (options.area && !options.area.contains(current.x, current.y)) continue;
 
             reachable.add(key);
 
-            for (const dir of directions) {
-                const nextX = current.x + dir.dx * gridSize;
-                const nextY = current.y + dir.dy * gridSize;
-                const nextKey = `${Math.round(nextX)},${Math.round(nextY)}`;
+            for (const next of this._getNeighborSteps(current.x, current.y, spacing)) {
+                const nextKey = `${Math.round(next.x)},${Math.round(next.y)}`;
 
                 if (visited.has(nextKey)) continue;
 
-                if (dir.diagonal) {
-                    const ortho1Clear = this._isStepClear(current.x, current.y, current.x + dir.dx * gridSize, current.y);
-                    const ortho2Clear = this._isStepClear(current.x, current.y, current.x, current.y + dir.dy * gridSize);
-                    if (!ortho1Clear && !ortho2Clear) continue;
-                }
+                if (next.corners && !next.corners.some(c => this._isStepClear(current.x, current.y, c.x, c.y))) continue;
 
-                if (!this._isStepClear(current.x, current.y, nextX, nextY)) continue;
+                if (!this._isStepClear(current.x, current.y, next.x, next.y, spacing)) continue;
 
-                queue.push({ x: nextX, y: nextY });
+                queue.push({ x: next.x, y: next.y });
             }
         }
 
         return reachable;
     }
 
+    /**
+     * Check a footprint centre against a reachable set.
+     * On grids the centre must be one of the set's cells. Gridless slots are
+     * continuous, so the centre only has to be one clear step away from the
+     * nearest reachable packing point.
+     *
+     * @param {Set<string>} reachableSet - Result of buildReachableSet
+     * @param {number} x - Footprint center X
+     * @param {number} y - Footprint center Y
+     * @param {number} [spacing] - Packing distance the set was built with
+     * @returns {boolean}
+     */
+    static isReachable(reachableSet, x, y, spacing = canvas.grid.size) {
+        if (reachableSet.has(`${Math.round(x)},${Math.round(y)}`)) return true;
+        if (!canvas.grid.isGridless) return false;
+
+        let nearest = null;
+        let nearestDistance = Infinity;
+        for (const key of reachableSet) {
+            const [px, py] = key.split(',').map(Number);
+            const distance = Math.hypot(px - x, py - y);
+            if (distance < nearestDistance) {
+                nearest = { x: px, y: py };
+                nearestDistance = distance;
+            }
+        }
+
+        return !!nearest && nearestDistance <= spacing
+            && this._isStepClear(nearest.x, nearest.y, x, y, spacing);
+    }
+
+    /**
+     * Check that every cell of a footprint is reachable and that no wall
+     * cuts through the footprint itself.
+     *
+     * @param {Set<string>} reachableSet - Result of buildReachableSet
+     * @param {number} x - Footprint top-left X
+     * @param {number} y - Footprint top-left Y
+     * @param {number} [width=1] - Footprint width in grid spaces
+     * @param {number} [height=1] - Footprint height in grid spaces
+     * @param {number} [spacing] - Packing distance the set was built with
+     * @returns {boolean}
+     */
+    static isFootprintReachable(reachableSet, x, y, width = 1, height = 1, spacing = canvas.grid.size) {
+        const center = this.getFootprintCenter(x, y, width, height);
+        if (canvas.grid.isGridless) return this.isReachable(reachableSet, center.x, center.y, spacing);
+
+        return this.getFootprintCells(x, y, width, height).every(cell =>
+            this.isReachable(reachableSet, cell.x, cell.y, spacing)
+            && this._isStepClear(center.x, center.y, cell.x, cell.y)
+        );
+    }
+
+    /**
+     * Check that a footprint fits where it stands: inside the scene, not split
+     * by a wall and not overlapping other tokens. Does not test reachability.
+     *
+     * @param {number} x - Footprint top-left X
+     * @param {number} y - Footprint top-left Y
+     * @param {number} [width=1] - Footprint width in grid spaces
+     * @param {number} [height=1] - Footprint height in grid spaces
+     * @param {string[]} [excludeTokens] - Token IDs to exclude
+     * @returns {boolean}
+     */
+    static isFootprintPlaceable(x, y, width = 1, height = 1, excludeTokens = []) {
+        const center = this.getFootprintCenter(x, y, width, height);
+        const cellsClear = this.getFootprintCells(x, y, width, height).every(cell =>
+            this.isWithinSceneBounds(cell.x, cell.y)
+            && this._isStepClear(center.x, center.y, cell.x, cell.y)
+        );
+        return cellsClear && !this.isFootprintOccupied(x, y, width, height, excludeTokens);
+    }
+
+    /**
+     * Gridless packing distance: the footprint diameter of the largest member.
+     * Grids ignore it and step one grid space at a time.
+     *
+     * @param {Array<{width?: number, height?: number}>} members
+     * @returns {number} Distance in pixels
+     */
+    static getPackingSpacing(members = []) {
+        const largest = Math.max(1, ...members.map(m => Math.max(m.width ?? 1, m.height ?? 1)));
+        return largest * canvas.grid.size;
+    }
+
+    /**
+     * Find a wall-respecting path between two points with A* over the same
+     * neighbour steps and wall checks as the placement BFS. The raw cell path
+     * is then shortened to the fewest waypoints that still clear every wall.
+     *
+     * @param {{x: number, y: number}} from - Start point (token centre)
+     * @param {{x: number, y: number}} to - Goal point (token centre)
+     * @param {Object} [options]
+     * @param {number} [options.width] - Width of the moving token in pixels (wall fan, gridless step)
+     * @param {number} [options.maxNodes] - Search budget before giving up
+     * @returns {Array<{x: number, y: number}>|null} Waypoints from `from` to `to`, or null if unreachable
+     */
+    static findPath(from, to, options = {}) {
+        const width = options.width ?? canvas.grid.size;
+        const spacing = canvas.grid.isGridless ? Math.max(width, canvas.grid.size) : canvas.grid.size;
+        const maxNodes = options.maxNodes ?? this.PATH_MAX_NODES;
+
+        // Straight line is clear — nothing to search
+        if (this._isStepClear(from.x, from.y, to.x, to.y, width)) return [{ ...from }, { ...to }];
+
+        const key = (p) => `${Math.round(p.x)},${Math.round(p.y)}`;
+        const heuristic = (p) => Math.hypot(to.x - p.x, to.y - p.y);
+
+        const start = this._getStartPoint(from.x, from.y);
+        const open = new Map([[key(start), { ...start, g: 0, f: heuristic(start), parent: null }]]);
+        const closed = new Set();
+
+        // The first step from an off-centre token may itself be walled off
+        if (!this._isStepClear(from.x, from.y, start.x, start.y, width)) return null;
+
+        while (open.size > 0 && closed.size < maxNodes) {
+            let current = null;
+            for (const node of open.values()) {
+                if (!current || node.f < current.f) current = node;
+            }
+            const currentKey = key(current);
+            open.delete(currentKey);
+            closed.add(currentKey);
+
+            // Close enough to step straight onto the goal
+            if (heuristic(current) <= spacing && this._isStepClear(current.x, current.y, to.x, to.y, width)) {
+                const cells = [];
+                for (let node = current; node; node = node.parent) cells.unshift({ x: node.x, y: node.y });
+                return this._smoothPath([{ ...from }, ...cells, { ...to }], width);
+            }
+
+            for (const next of this._getNeighborSteps(current.x, current.y, spacing)) {
+                const nextKey = key(next);
+                if (closed.has(nextKey)) continue;
+                if (!this.isWithinSceneBounds(next.x, next.y)) continue;
+
+                if (next.corners && !next.corners.some(c => this._isStepClear(current.x, current.y, c.x, c.y, width))) continue;
+                if (!this._isStepClear(current.x, current.y, next.x, next.y, width)) continue;
+
+                const g = current.g + Math.hypot(next.x - current.x, next.y - current.y);
+                const known = open.get(nextKey);
+                if (known && known.g <= g) continue;
+
+                open.set(nextKey, { x: next.x, y: next.y, g, f: g + heuristic(next), parent: current });
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Drop waypoints that can be skipped without crossing a wall.
+     *
+     * @param {Array<{x: number, y: number}>} path
+     * @param {number} width - Width of the moving token in pixels
+     * @returns {Array<{x: number, y: number}>}
+     * @private
+     */
+    static _smoothPath(path, width) {
+        const smoothed = [path[0]];
+        let anchor = 0;
+
+        while (anchor < path.length - 1) {
+            let next = path.length - 1;
+            while (next > anchor + 1 && !this._isStepClear(path[anchor].x, path[anchor].y, path[next].x, path[next].y, width)) {
+                next--;
+            }
+            smoothed.push(path[next]);
+            anchor = next;
+        }
+
+        return smoothed;
+    }
+
+    /**
+     * BFS start point. On hex grids the party token's centre is snapped to
+     * its grid space centre so keys match canvas.grid.getCenterPoint results.
+     *
+     * @param {number} x
+     * @param {number} y
+     * @returns {{x: number, y: number}}
+     * @private
+     */
+    static _getStartPoint(x, y) {
+        if (!canvas.grid.isHexagonal) return { x, y };
+        const center = canvas.grid.getCenterPoint({ x, y });
+        return { x: center.x, y: center.y };
+    }
+
+    /**
+     * Centres of the cells adjacent to a cell centre.
+     * Square diagonals carry the two orthogonal `corners` that must not both
+     * be walled off; hex neighbours share an edge and have none.
+     * Gridless scenes step over a triangular lattice `spacing` apart — the
+     * densest packing of equal circular footprints.
+     *
+     * @param {number} x - Cell center X
+     * @param {number} y - Cell center Y
+     * @param {number} [spacing] - Gridless only: lattice step in pixels
+     * @returns {Array<{x: number, y: number, corners: Array<{x: number, y: number}>|null}>}
+     * @private
+     */
+    static _getNeighborSteps(x, y, spacing = canvas.grid.size) {
+        const grid = canvas.grid;
+
+        if (grid.isGridless) {
+            return this.LATTICE_ANGLES.map(angle => ({
+                x: x + Math.cos(angle) * spacing,
+                y: y + Math.sin(angle) * spacing,
+                corners: null
+            }));
+        }
+
+        if (grid.isHexagonal) {
+            return grid.getAdjacentOffsets(grid.getOffset({ x, y })).map(offset => {
+                const center = grid.getCenterPoint(offset);
+                return { x: center.x, y: center.y, corners: null };
+            });
+        }
+
+        const gridSize = grid.size;
+        return this.DIRECTIONS.map(dir => ({
+            x: x + dir.dx * gridSize,
+            y: y + dir.dy * gridSize,
+            corners: dir.diagonal
+                ? [{ x: x + dir.dx * gridSize, y }, { x, y: y + dir.dy * gridSize }]
+                : null
+        }));
+    }
+
     /**
      * Check if a single step between two adjacent cells is clear of walls.
      * Uses 3-ray fan: center-to-center + center-to-edges for robustness.
@@ -175,10 +429,11 @@ export class TokenPlacer {
      * @param {number} fromY - Source cell center Y
      * @param {number} toX - Target cell center X
      * @param {number} toY - Target cell center Y
+     * @param {number} [width] - Width of the moving footprint (defaults to one grid space)
      * @returns {boolean} true if step is clear
      * @private
      */
-    static _isStepClear(fromX, fromY, toX, toY) {
+    static _isStepClear(fromX, fromY, toX, toY, width = canvas.grid.size) {
         if (Math.abs(fromX - toX) < 1 && Math.abs(fromY - toY) < 1) return true;
 
         try {
@@ -190,9 +445,8 @@ export class TokenPlacer {
             if (CONFIG.Canvas.polygonBackends.move.testCollision(ray.A, ray.B, { mode: 'any', type: 'move' })) return false;
 
             // Secondary rays: fan out to catch walls at cell edges
-            // Perpendicular offset = half grid, scaled down for adjacent-cell testing
-            const gridSize = canvas.grid.size;
-            const offset = gridSize * 0.35; // 35% of grid to cover most of cell width
+            // Perpendicular offset = half footprint, scaled down for adjacent-cell testing
+            const offset = width * 0.35; // 35% of footprint to cover most of its width
             const dx = toX - fromX;
             const dy = toY - fromY;
             const len = Math.sqrt(dx * dx + dy * dy);
@@ -256,9 +510,28 @@ export class TokenPlacer {
      * @param {number} x - Center X of the position to check
      * @param {number} y - Center Y of the position to check
      * @param {string[]} excludeTokens - Token IDs to exclude
+     * @param {number} [radius] - Gridless only: footprint radius of the token to place
      * @returns {boolean} true if occupied
      */
-    static isPositionOccupied(x, y, excludeTokens = []) {
+    static isPositionOccupied(x, y, excludeTokens = [], radius = canvas.grid.size / 2) {
+        // Gridless: footprints are circles, they overlap when centres are closer than both radii
+        if (canvas.grid.isGridless) {
+            return canvas.tokens.placeables.some(token =>
+                !excludeTokens.includes(token.id)
+                && Math.hypot(token.center.x - x, token.center.y - y)
+                    < radius + Math.min(token.w, token.h) / 2 - this.GRIDLESS_TOLERANCE
+            );
+        }
+
+        // Hex bounding boxes overlap their neighbours — compare grid spaces instead
+        if (canvas.grid.isHexagonal) {
+            const { i, j } = canvas.grid.getOffset({ x, y });
+            return canvas.tokens.placeables.some(token =>
+                !excludeTokens.includes(token.id)
+                && token.document.getOccupiedGridSpaceOffsets().some(o => o.i === i && o.j === j)
+            );
+        }
+
         const gridSize = canvas.grid.size;
         const halfGrid = gridSize / 2;
 
@@ -284,6 +557,321 @@ export class TokenPlacer {
         return false;
     }
 
+    /**
+     * Check if any cell of a footprint is occupied by another token.
+     *
+     * @param {number} x - Footprint top-left X
+     * @param {number} y - Footprint top-left Y
+     * @param {number} [width=1] - Footprint width in grid spaces
+     * @param {number} [height=1] - Footprint height in grid spaces
+     * @param {string[]} [excludeTokens] - Token IDs to exclude
+     * @returns {boolean} true if occupied
+     */
+    static isFootprintOccupied(x, y, width = 1, height = 1, excludeTokens = []) {
+        if (canvas.grid.isGridless) {
+            const center = this.getFootprintCenter(x, y, width, height);
+            return this.isPositionOccupied(center.x, center.y, excludeTokens, this.getFootprintRadius(width, height));
+        }
+        return this.getFootprintCells(x, y, width, height)
+            .some(cell => this.isPositionOccupied(cell.x, cell.y, excludeTokens));
+    }
+
+    /**
+     * Check if two footprints overlap. Grids compare covered cells,
+     * gridless scenes compare footprint circles.
+     *
+     * @param {{x: number, y: number, width?: number, height?: number}} a - Top-left and size in grid spaces
+     * @param {{x: number, y: number, width?: number, height?: number}} b
+     * @returns {boolean}
+     */
+    static footprintsOverlap(a, b) {
+        const aw = a.width ?? 1, ah = a.height ?? 1;
+        const bw = b.width ?? 1, bh = b.height ?? 1;
+
+        if (canvas.grid.isGridless) {
+            const ca = this.getFootprintCenter(a.x, a.y, aw, ah);
+            const cb = this.getFootprintCenter(b.x, b.y, bw, bh);
+            return Math.hypot(ca.x - cb.x, ca.y - cb.y)
+                < this.getFootprintRadius(aw, ah) + this.getFootprintRadius(bw, bh) - this.GRIDLESS_TOLERANCE;
+        }
+
+        const key = (cell) => `${Math.round(cell.x)},${Math.round(cell.y)}`;
+        const cellsA = new Set(this.getFootprintCells(a.x, a.y, aw, ah).map(key));
+        return this.getFootprintCells(b.x, b.y, bw, bh).some(cell => cellsA.has(key(cell)));
+    }
+
+    /**
+     * Centres of the grid spaces a footprint covers: the spaces whose centre
+     * lies inside the footprint's bounding box. Gridless footprints are a
+     * single circle and return only their centre.
+     *
+     * @param {number} x - Footprint top-left X
+     * @param {number} y - Footprint top-left Y
+     * @param {number} [width=1] - Footprint width in grid spaces
+     * @param {number} [height=1] - Footprint height in grid spaces
+     * @returns {Array<{x: number, y: number}>}
+     */
+    static getFootprintCells(x, y, width = 1, height = 1) {
+        const grid = canvas.grid;
+        const center = this.getFootprintCenter(x, y, width, height);
+        if (grid.isGridless) return [center];
+
+        const w = grid.sizeX * width;
+        const h = grid.sizeY * height;
+        const [i0, j0, i1, j1] = grid.getOffsetRange({ x, y, width: w, height: h });
+
+        const cells = [];
+        for (let i = i0; i < i1; i++) {
+            for (let j = j0; j < j1; j++) {
+                const cell = grid.getCenterPoint({ i, j });
+                if (cell.x > x && cell.x < x + w && cell.y > y && cell.y < y + h) {
+                    cells.push({ x: cell.x, y: cell.y });
+                }
+            }
+        }
+
+        // Off-grid footprint smaller than a space — fall back to the space under its centre
+        if (cells.length === 0) {
+            const cell = grid.getCenterPoint(center);
+            cells.push({ x: cell.x, y: cell.y });
+        }
+        return cells;
+    }
+
+    /**
+     * Centre of a footprint given its top-left corner.
+     * @param {number} x
+     * @param {number} y
+     * @param {number} [width=1] - Footprint width in grid spaces
+     * @param {number} [height=1] - Footprint height in grid spaces
+     * @returns {{x: number, y: number}}
+     */
+    static getFootprintCenter(x, y, width = 1, height = 1) {
+        return {
+            x: x + (canvas.grid.sizeX * width) / 2,
+            y: y + (canvas.grid.sizeY * height) / 2
+        };
+    }
+
+    /**
+     * Radius of the circle a footprint is packed as on gridless scenes.
+     * @param {number} [width=1]
+     * @param {number} [height=1]
+     * @returns {number}
+     */
+    static getFootprintRadius(width = 1, height = 1) {
+        return (Math.max(width, height) * canvas.grid.size) / 2;
+    }
+
+    /**
+     * Measure how wide the free space is across a facing direction: walk
+     * sideways both ways from a few points along the facing until the
+     * reachable set ends or a wall blocks the step, and keep the narrowest.
+     *
+     * @param {Set<string>} reachableSet - Result of buildReachableSet
+     * @param {number} centerX
+     * @param {number} centerY
+     * @param {number} direction - Facing in degrees (0 = north)
+     * @param {Object} [options]
+     * @param {number} [options.spacing] - Gridless only: packing distance the set was built with
+     * @param {number} [options.maxWidth] - Stop counting past this many spaces to each side
+     * @returns {number} Free width in grid spaces (packing steps when gridless)
+     */
+    static measureFreeWidth(reachableSet, centerX, centerY, direction, options = {}) {
+        const grid = canvas.grid;
+        const spacing = options.spacing ?? grid.size;
+        const maxWidth = options.maxWidth ?? this.FREE_WIDTH_MAX;
+
+        const rad = Math.toRadians(direction);
+        const forward = { x: Math.sin(rad), y: -Math.cos(rad) };
+        const side = { x: Math.cos(rad), y: Math.sin(rad) };
+
+        // Square diagonals advance one cell per √2 of distance
+        const stepOf = (v) => (grid.isGridless || grid.isHexagonal)
+            ? spacing
+            : spacing / Math.max(Math.abs(v.x), Math.abs(v.y));
+        const toPoint = (x, y) => grid.isGridless ? { x, y } : this.snapToGrid(x, y);
+
+        const countSide = (origin, sign) => {
+            const step = stepOf(side);
+            let previous = origin;
+            let count = 0;
+            while (count < maxWidth) {
+                const next = toPoint(origin.x + side.x * step * sign * (count + 1), origin.y + side.y * step * sign * (count + 1));
+                if (!this.isReachable(reachableSet, next.x, next.y, spacing)) break;
+                if (!this._isStepClear(previous.x, previous.y, next.x, next.y, spacing)) break;
+                previous = next;
+                count++;
+            }
+            return count;
+        };
+
+        let narrowest = Infinity;
+        for (const offset of [-1, 0, 1]) {
+            const step = stepOf(forward) * offset;
+            const origin = toPoint(centerX + forward.x * step, centerY + forward.y * step);
+            if (!this.isReachable(reachableSet, origin.x, origin.y, spacing)) continue;
+            narrowest = Math.min(narrowest, 1 + countSide(origin, -1) + countSide(origin, 1));
+        }
+        return narrowest === Infinity ? 1 : narrowest;
+    }
+
+    /**
+     * Resolve a target area to a point test and its bounding box.
+     * Accepts a Drawing, MeasuredTemplate or Region — placeable, document,
+     * UUID or ID on the current scene.
+     *
+     * @param {PlaceableObject|Document|string} area
+     * @returns {{uuid: string, contains: function(number, number): boolean, bounds: PIXI.Rectangle}|null}
+     */
+    static resolveArea(area) {
+        if (typeof area === 'string') {
+            const scene = canvas.scene;
+            area = fromUuidSync(area)
+                ?? scene?.drawings.get(area) ?? scene?.templates.get(area) ?? scene?.regions.get(area);
+        }
+        const doc = area?.document ?? area;
+        if (!doc || doc.parent !== canvas.scene) return null;
+
+        switch (doc.documentName) {
+            case 'Drawing': {
+                const { type, width, height, points } = doc.shape;
+                const polygon = (type === CONST.DRAWING_TYPES.POLYGON || type === CONST.DRAWING_TYPES.FREEHAND)
+                    ? new PIXI.Polygon(points)
+                    : null;
+
+                // Point in the drawing's own frame: origin at its top-left, rotation undone around its centre
+                const rad = Math.toRadians(-doc.rotation);
+                const cos = Math.cos(rad), sin = Math.sin(rad);
+                const cx = doc.x + width / 2, cy = doc.y + height / 2;
+                const toLocal = (x, y) => ({
+                    x: (x - cx) * cos - (y - cy) * sin + width / 2,
+                    y: (x - cx) * sin + (y - cy) * cos + height / 2
+                });
+
+                const half = Math.hypot(width, height) / 2;
+                return {
+                    uuid: doc.uuid,
+                    bounds: new PIXI.Rectangle(cx - half, cy - half, half * 2, half * 2),
+                    contains: (x, y) => {
+                        const p = toLocal(x, y);
+                        if (polygon) return polygon.contains(p.x, p.y);
+                        if (type === CONST.DRAWING_TYPES.ELLIPSE) {
+                            return ((p.x - width / 2) / (width / 2)) ** 2 + ((p.y - height / 2) / (height / 2)) ** 2 <= 1;
+                        }
+                        return p.x >= 0 && p.x <= width && p.y >= 0 && p.y <= height;
+                    }
+                };
+            }
+            case 'MeasuredTemplate': {
+                // The template's shape only exists once it is drawn on the canvas
+                const shape = doc.object?.shape;
+                if (!shape) return null;
+                return {
+                    uuid: doc.uuid,
+                    bounds: doc.object.bounds,
+                    contains: (x, y) => shape.contains(x - doc.x, y - doc.y)
+                };
+            }
+            case 'Region':
+                return {
+                    uuid: doc.uuid,
+                    bounds: doc.bounds,
+                    contains: (x, y) => doc.polygonTree.testPoint({ x, y })
+                };
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Check that a footprint lies inside an area: every covered cell centre
+     * on grids, the footprint centre on gridless scenes.
+     *
+     * @param {Object} area - Result of resolveArea
+     * @param {number} x - Footprint top-left X
+     * @param {number} y - Footprint top-left Y
+     * @param {number} [width=1] - Footprint width in grid spaces
+     * @param {number} [height=1] - Footprint height in grid spaces
+     * @returns {boolean}
+     */
+    static isFootprintInArea(area, x, y, width = 1, height = 1) {
+        return this.getFootprintCells(x, y, width, height).every(cell => area.contains(cell.x, cell.y));
+    }
+
+    /**
+     * Find where a party walking from a point first steps into an area.
+     * Walks the wall-respecting BFS outwards; if the area cannot be reached
+     * within the budget, takes the area point nearest in a straight line.
+     *
+     * @param {Object} area - Result of resolveArea
+     * @param {number} fromX
+     * @param {number} fromY
+     * @param {Object} [options]
+     * @param {number} [options.spacing] - Gridless only: packing distance (see getPackingSpacing)
+     * @returns {{x: number, y: number}|null} Cell centre inside the area, null if the area has none
+     */
+    static findAreaEntry(area, fromX, fromY, options = {}) {
+        const spacing = options.spacing ?? canvas.grid.size;
+
+        // Budget covers a square reaching just past the area's far edge
+        const { bounds } = area;
+        const reach = Math.max(
+            Math.abs(fromX - bounds.left), Math.abs(fromX - bounds.right),
+            Math.abs(fromY - bounds.top), Math.abs(fromY - bounds.bottom)
+        ) / spacing;
+        const maxCells = Math.min(this.AREA_ENTRY_MAX_CELLS, Math.ceil(2 * reach + 3) ** 2);
+
+        // Set iterates in BFS order — the first key inside is the nearest walk
+        for (const key of this.buildReachableSet(fromX, fromY, maxCells, { spacing })) {
+            const [x, y] = key.split(',').map(Number);
+            if (area.contains(x, y)) return { x, y };
+        }
+
+        let nearest = null;
+        let nearestDistance = Infinity;
+        for (const point of this.getAreaPoints(area, spacing)) {
+            const distance = Math.hypot(point.x - fromX, point.y - fromY);
+            if (distance < nearestDistance) {
+                nearest = point;
+                nearestDistance = distance;
+            }
+        }
+        return nearest;
+    }
+
+    /**
+     * Placement points inside an area: grid space centres, or a square
+     * sample at packing distance on gridless scenes.
+     *
+     * @param {Object} area - Result of resolveArea
+     * @param {number} [spacing] - Gridless only: sample distance
+     * @returns {Array<{x: number, y: number}>}
+     */
+    static getAreaPoints(area, spacing = canvas.grid.size) {
+        const grid = canvas.grid;
+        const { x, y, width, height } = area.bounds;
+        const points = [];
+
+        if (grid.isGridless) {
+            for (let px = x + spacing / 2; px < x + width; px += spacing) {
+                for (let py = y + spacing / 2; py < y + height; py += spacing) {
+                    if (area.contains(px, py)) points.push({ x: px, y: py });
+                }
+            }
+            return points;
+        }
+
+        const [i0, j0, i1, j1] = grid.getOffsetRange({ x, y, width, height });
+        for (let i = i0; i < i1; i++) {
+            for (let j = j0; j < j1; j++) {
+                const cell = grid.getCenterPoint({ i, j });
+                if (area.contains(cell.x, cell.y)) points.push({ x: cell.x, y: cell.y });
+            }
+        }
+        return points;
+    }
+
     /**
      * Snap coordinates to grid center point.
      * @param {number} x
@@ -298,8 +886,55 @@ export class TokenPlacer {
         return { x: snapped.x, y: snapped.y };
     }
 
+    /**
+     * Snap a token footprint centred on a point to the grid.
+     * Returns the top-left position for the token document and the centre
+     * of the footprint after snapping (used as the reachability key).
+     *
+     * @param {number} centerX - Desired footprint center X
+     * @param {number} centerY - Desired footprint center Y
+     * @param {number} [width=1] - Footprint width in grid spaces
+     * @param {number} [height=1] - Footprint height in grid spaces
+     * @returns {{x: number, y: number, centerX: number, centerY: number}}
+     */
+    static snapFootprint(centerX, centerY, width = 1, height = 1) {
+        const { sizeX, sizeY } = canvas.grid;
+
+        // Gridless: nothing to snap to, just centre the footprint
+        if (canvas.grid.isGridless) {
+            return {
+                x: centerX - (sizeX * width) / 2,
+                y: centerY - (sizeY * height) / 2,
+                centerX,
+                centerY
+            };
+        }
+
+        // Hex: the bounding-box corner lies in a neighbouring hex, snap by the centre instead
+        if (canvas.grid.isHexagonal) {
+            const center = canvas.grid.getCenterPoint({ x: centerX, y: centerY });
+            return {
+                x: center.x - (sizeX * width) / 2,
+                y: center.y - (sizeY * height) / 2,
+                centerX: center.x,
+                centerY: center.y
+            };
+        }
+
+        const w = sizeX * width;
+        const h = sizeY * height;
+        const snapped = this.snapToTopLeft(centerX - w / 2, centerY - h / 2);
+        return {
+            x: snapped.x,
+            y: snapped.y,
+            centerX: snapped.x + w / 2,
+            centerY: snapped.y + h / 2
+        };
+    }
+
     /**
      * Snap coordinates to the top-left corner of the nearest grid cell.
+     * Gridless scenes have no cells — coordinates are returned unchanged.
      * @param {number} x
      * @param {number} y
      * @returns {{x: number, y: number}}
@@ -310,6 +945,8 @@ export class TokenPlacer {
             return { x: x || 0, y: y || 0 };
         }
 
+        if (canvas.grid.isGridless) return { x, y };
+
         try {
             const topLeft = canvas.grid.getTopLeftPoint({ x, y });
             return { x: topLeft.x, y: topLeft.y };
@@ -0,0 +1,440 @@
+/**
+ * DeployPreview — режим расстановки: призраки участников на местах роспуска
+ *
+ * До создания токенов показывает, куда встанет каждый участник:
+ * - колесо мыши — поворот строя;
+ * - перетаскивание якоря (центра группы) — перенос всей расстановки;
+ * - клик по двум призракам — обмен участников местами;
+ * - красным подсвечены места за стеной, на чужих токенах или друг на друге;
+ * - Enter — расставить, Esc или правая кнопка мыши — отмена.
+ *
+ * Расчёт мест — PartyManager.planDisperse, роспуск — disperseParty с готовыми позициями.
+ * Игроку готовые позиции не доверяются: ГМ заново рассчитает места от выбранных центра и направления.
+ *
+ * Requires Foundry VTT v13+
+ */
+
+import { MODULE_ID } from '../main.js';
+import { TokenPlacer } from '../token-placer.js';
+import { GridGeometry } from '../grid-geometry.js';
+
+export class DeployPreview {
+
+    static COLORS = {
+        valid: 0x3cb371,
+        invalid: 0xdc143c,
+        selected: 0xffd700,
+        anchor: 0xffffff
+    };
+
+    static GHOST_ALPHA = 0.55;
+
+    // Шаг поворота колесом без сетки (на сетке — по соседям клетки)
+    static GRIDLESS_ROTATION_STEP = 15;
+
+    // Активный режим расстановки (один на клиент)
+    static active = null;
+
+    /**
+     * @param {Token} partyToken - Токен группы
+     * @param {Object} [options] - Опции роспуска (formation, direction, animate)
+     */
+    constructor(partyToken, options = {}) {
+        this.partyToken = partyToken;
+        this.options = options;
+
+        this.direction = options.direction;
+        this.center = partyToken ? { ...partyToken.center } : null;
+        this.plan = null;
+
+        // Слот плана для каждого участника (обмены сохраняются при повороте и переносе)
+        this.assignment = [];
+        this.selected = null;
+        this.dragging = false;
+
+        this.container = null;
+        this._textures = new Map();
+        this._listeners = [];
+        this._hooks = [];
+        this._resolve = null;
+    }
+
+    /**
+     * Запустить режим расстановки
+     * @returns {Promise<boolean>} - true, если группа распущена
+     */
+    async start() {
+        if (!this.partyToken) {
+            ui.notifications.warn(game.i18n.localize('GROUP_POVUXA.Notifications.NoPartyToken'));
+            return false;
+        }
+        DeployPreview.active?.cancel();
+        DeployPreview.active = this;
+
+        this._replan();
+        this.assignment = this.plan.members.map((m, i) => i);
+
+        await this._loadTextures();
+
+        this.container = new PIXI.Container();
+        this.container.eventMode = 'none';
+        canvas.controls.addChild(this.container);
+
+        this._activateListeners();
+        this._draw();
+
+        ui.notifications.info(game.i18n.localize('GROUP_POVUXA.Deploy.Hint'));
+
+        return new Promise(resolve => { this._resolve = resolve; });
+    }
+
+    /**
+     * Подтвердить: распустить группу на показанные места
+     */
+    async confirm() {
+        const invalid = this._getInvalidMembers();
+        if (invalid.size > 0) {
+            const proceed = await foundry.applications.api.DialogV2.confirm({
+                window: { title: game.i18n.localize('GROUP_POVUXA.Deploy.Title') },
+                content: `<p>${game.i18n.format('GROUP_POVUXA.Deploy.InvalidConfirm', { count: invalid.size })}</p>`,
+                rejectClose: false,
+                modal: true
+            });
+            if (!proceed) return;
+        }
+
+        const positions = this._getPositions();
+        const { direction, center } = this.plan;
+        const partyToken = this.partyToken;
+
+        this._finish(true);
+        await game.groupPovuxa.manager.disperseParty(partyToken, {
+            ...this.options,
+            direction,
+            center,
+            positions
+        });
+    }
+
+    /**
+     * Отменить режим расстановки
+     */
+    cancel() {
+        this._finish(false);
+    }
+
+    // ==========================================
+    // РАСЧЁТ И ПРОВЕРКА МЕСТ
+    // ==========================================
+
+    /**
+     * Пересчитать план для текущих центра и направления
+     * @private
+     */
+    _replan() {
+        this.plan = game.groupPovuxa.manager.planDisperse(this.partyToken, {
+            ...this.options,
+            direction: this.direction,
+            center: this.center
+        });
+        this.direction = this.plan.direction;
+    }
+
+    /**
+     * Места участников с учётом обменов (top-left; без места — на якоре)
+     * @returns {Array<{x: number, y: number}>}
+     * @private
+     */
+    _getPositions() {
+        const anchor = {
+            x: this.plan.center.x - this.partyToken.w / 2,
+            y: this.plan.center.y - this.partyToken.h / 2
+        };
+        return this.plan.members.map((m, i) => this.plan.positions[this.assignment[i]] ?? anchor);
+    }
+
+    /**
+     * Участники на недопустимых местах: за стеной, вне целевой области,
+     * на чужом токене, поверх другого участника или без места вовсе
+     * @returns {Set<number>} - Индексы участников
+     * @private
+     */
+    _getInvalidMembers() {
+        const { members, positions: planned, area, reachableSet, spacing, excludeTokens } = this.plan;
+        const positions = this._getPositions();
+        const spots = positions.map((p, i) => ({ ...p, width: members[i].width ?? 1, height: members[i].height ?? 1 }));
+        const invalid = new Set();
+
+        spots.forEach((spot, i) => {
+            if (!planned[this.assignment[i]]) invalid.add(i);
+            else if (!TokenPlacer.isFootprintReachable(reachableSet, spot.x, spot.y, spot.width, spot.height, spacing)) invalid.add(i);
+            else if (area && !TokenPlacer.isFootprintInArea(area, spot.x, spot.y, spot.width, spot.height)) invalid.add(i);
+            else if (TokenPlacer.isFootprintOccupied(spot.x, spot.y, spot.width, spot.height, excludeTokens)) invalid.add(i);
+
+            for (let j = 0; j < i; j++) {
+                if (TokenPlacer.footprintsOverlap(spots[j], spot)) {
+                    invalid.add(i);
+                    invalid.add(j);
+                }
+            }
+        });
+
+        return invalid;
+    }
+
+    // ==========================================
+    // ОТРИСОВКА
+    // ==========================================
+
+    /**
+     * Загрузить портреты участников для призраков
+     * @private
+     */
+    async _loadTextures() {
+        for (const member of this.plan.members) {
+            const src = member.snapshot?.texture?.src ?? member.img;
+            if (!src || this._textures.has(src)) continue;
+            try {
+                this._textures.set(src, await foundry.canvas.loadTexture(src));
+            } catch (e) {
+                console.warn(`${MODULE_ID} | Deploy preview: cannot load ${src}`, e);
+            }
+        }
+    }
+
+    /**
+     * Перерисовать призраков, якорь и стрелку направления
+     * @private
+     */
+    _draw() {
+        if (!this.container) return;
+        this.container.removeChildren().forEach(child => child.destroy());
+
+        const { sizeX, sizeY } = canvas.grid;
+        const invalid = this._getInvalidMembers();
+        const positions = this._getPositions();
+
+        this.plan.members.forEach((member, i) => {
+            const pos = positions[i];
+            const width = member.width ?? 1;
+            const height = member.height ?? 1;
+            const color = this.selected === i
+                ? DeployPreview.COLORS.selected
+                : (invalid.has(i) ? DeployPreview.COLORS.invalid : DeployPreview.COLORS.valid);
+
+            // Клетки, которые займёт участник
+            const cells = new PIXI.Graphics();
+            cells.lineStyle(2, color, 0.9).beginFill(color, 0.25);
+            this._drawFootprint(cells, pos, width, height);
+            cells.endFill();
+            this.container.addChild(cells);
+
+            // Портрет
+            const texture = this._textures.get(member.snapshot?.texture?.src ?? member.img);
+            if (texture) {
+                const sprite = new PIXI.Sprite(texture);
+                sprite.width = sizeX * width;
+                sprite.height = sizeY * height;
+                sprite.position.set(pos.x, pos.y);
+                sprite.alpha = DeployPreview.GHOST_ALPHA;
+                this.container.addChild(sprite);
+            }
+        });
+
+        // Якорь и направление «вперёд»
+        const { center, direction } = this.plan;
+        const rad = Math.toRadians(direction);
+        const tip = {
+            x: center.x + Math.sin(rad) * canvas.grid.size,
+            y: center.y - Math.cos(rad) * canvas.grid.size
+        };
+        const anchor = new PIXI.Graphics();
+        anchor.lineStyle(3, DeployPreview.COLORS.anchor, 0.9)
+            .drawCircle(center.x, center.y, canvas.grid.size / 4)
+            .moveTo(center.x, center.y)
+            .lineTo(tip.x, tip.y);
+        this.container.addChild(anchor);
+    }
+
+    /**
+     * Нарисовать клетки участника
+     * @param {PIXI.Graphics} graphics
+     * @param {{x: number, y: number}} pos - Top-left
+     * @param {number} width
+     * @param {number} height
+     * @private
+     */
+    _drawFootprint(graphics, pos, width, height) {
+        const grid = canvas.grid;
+
+        if (grid.isGridless) {
+            const center = TokenPlacer.getFootprintCenter(pos.x, pos.y, width, height);
+            graphics.drawCircle(center.x, center.y, TokenPlacer.getFootprintRadius(width, height));
+            return;
+        }
+
+        for (const cell of TokenPlacer.getFootprintCells(pos.x, pos.y, width, height)) {
+            if (grid.isHexagonal) {
+                const shape = grid.getShape();
+                graphics.drawPolygon(shape.flatMap(p => [cell.x + p.x, cell.y + p.y]));
+            } else {
+                graphics.drawRect(cell.x - grid.sizeX / 2, cell.y - grid.sizeY / 2, grid.sizeX, grid.sizeY);
+            }
+        }
+    }
+
+    // ==========================================
+    // УПРАВЛЕНИЕ
+    // ==========================================
+
+    /**
+     * Перехватить мышь и клавиатуру (в фазе захвата — раньше обработчиков канваса)
+     * @private
+     */
+    _activateListeners() {
+        const view = canvas.app.view;
+        const listen = (target, type, handler, options = { capture: true }) => {
+            const bound = handler.bind(this);
+            target.addEventListener(type, bound, options);
+            this._listeners.push(() => target.removeEventListener(type, bound, options));
+        };
+
+        listen(view, 'pointerdown', this._onPointerDown);
+        listen(window, 'pointermove', this._onPointerMove);
+        listen(window, 'pointerup', this._onPointerUp);
+        listen(view, 'contextmenu', this._onContextMenu);
+        listen(view, 'wheel', this._onWheel, { capture: true, passive: false });
+        listen(window, 'keydown', this._onKeyDown);
+
+        // Сцена сменилась или группу распустили другим способом
+        const onTearDown = () => this.cancel();
+        const onDelete = (doc) => { if (doc.id === this.partyToken.id) this.cancel(); };
+        this._hooks.push(['canvasTearDown', Hooks.on('canvasTearDown', onTearDown)]);
+        this._hooks.push(['deleteToken', Hooks.on('deleteToken', onDelete)]);
+    }
+
+    /**
+     * Точка канваса под курсором
+     * @param {PointerEvent|WheelEvent} event
+     * @returns {{x: number, y: number}}
+     * @private
+     */
+    _getCanvasPoint(event) {
+        return canvas.canvasCoordinatesFromClient({ x: event.clientX, y: event.clientY });
+    }
+
+    /**
+     * Индекс участника, чей призрак под точкой
+     * @param {{x: number, y: number}} point
+     * @returns {number|null}
+     * @private
+     */
+    _getMemberAt(point) {
+        const { sizeX, sizeY } = canvas.grid;
+        const positions = this._getPositions();
+        const index = this.plan.members.findIndex((member, i) => {
+            const pos = positions[i];
+            return point.x >= pos.x && point.x < pos.x + sizeX * (member.width ?? 1)
+                && point.y >= pos.y && point.y < pos.y + sizeY * (member.height ?? 1);
+        });
+        return index === -1 ? null : index;
+    }
+
+    _onPointerDown(event) {
+        if (event.button === 2) return; // Отмена — в contextmenu
+
+        const point = this._getCanvasPoint(event);
+        const { center } = this.plan;
+
+        if (Math.hypot(point.x - center.x, point.y - center.y) <= canvas.grid.size / 2) {
+            this.dragging = true;
+        } else {
+            const index = this._getMemberAt(point);
+            if (index === null) return; // Пустое место — канвас работает как обычно
+
+            if (this.selected === null) {
+                this.selected = index;
+            } else {
+                // Обмен местами
+                const other = this.selected;
+                [this.assignment[other], this.assignment[index]] = [this.assignment[index], this.assignment[other]];
+                this.selected = null;
+            }
+            this._draw();
+        }
+
+        event.preventDefault();
+        event.stopImmediatePropagation();
+    }
+
+    _onPointerMove(event) {
+        if (!this.dragging) return;
+
+        const point = this._getCanvasPoint(event);
+        const snapped = canvas.grid.isGridless ? point : TokenPlacer.snapToGrid(point.x, point.y);
+        if (snapped.x !== this.center.x || snapped.y !== this.center.y) {
+            this.center = { x: snapped.x, y: snapped.y };
+            this._replan();
+            this._draw();
+        }
+
+        event.stopImmediatePropagation();
+    }
+
+    _onPointerUp(event) {
+        if (!this.dragging) return;
+        this.dragging = false;
+        event.stopImmediatePropagation();
+    }
+
+    _onContextMenu(event) {
+        event.preventDefault();
+        event.stopImmediatePropagation();
+        this.cancel();
+    }
+
+    _onWheel(event) {
+        if (event.target !== canvas.app.view) return;
+
+        const step = canvas.grid.isGridless
+            ? DeployPreview.GRIDLESS_ROTATION_STEP
+            : (GridGeometry.isHex() ? 60 : 45);
+        this.direction = Math.normalizeDegrees(this.direction + Math.sign(event.deltaY) * step);
+        this._replan();
+        this._draw();
+
+        event.preventDefault();
+        event.stopImmediatePropagation();
+    }
+
+    _onKeyDown(event) {
+        // Не мешаем вводу в поля
+        if (event.target instanceof HTMLInputElement || event.target instanceof HTMLTextAreaElement) return;
+
+        if (event.key === 'Enter') this.confirm();
+        else if (event.key === 'Escape') this.cancel();
+        else return;
+
+        event.preventDefault();
+        event.stopImmediatePropagation();
+    }
+
+    /**
+     * Убрать призраков и обработчики
+     * @param {boolean} confirmed
+     * @private
+     */
+    _finish(confirmed) {
+        this._listeners.forEach(remove => remove());
+        this._listeners = [];
+        this._hooks.forEach(([hook, id]) => Hooks.off(hook, id));
+        this._hooks = [];
+
+        this.container?.destroy({ children: true });
+        this.container = null;
+
+        if (DeployPreview.active === this) DeployPreview.active = null;
+        this._resolve?.(confirmed);
+        this._resolve = null;
+    }
+}
@@ -8,9 +8,16 @@
 import { MODULE_ID } from '../main.js';
 import { FormationPresets } from '../formation-presets.js';
 import { PartyManager } from '../party-manager.js';
+import { GridGeometry } from '../grid-geometry.js';
+import { DeployPreview } from './deploy-preview.js';
+import { FollowMode } from '../follow-mode.js';
+import { PartyRosters } from '../party-rosters.js';
 
 export class PartyPanelApp extends FormApplication {
 
+    // Радиус гекса в сетке расстановки (px), см. .party-grid.hex-grid в CSS
+    static HEX_CELL_RADIUS = 24;
+
     static get defaultOptions() {
         return foundry.utils.mergeObject(super.defaultOptions, {
             id: 'group-povuxa-panel',
@@ -109,7 +116,8 @@ export class PartyPanelApp extends FormApplication {
 
         // Получаем доступные шаблоны
         const formations = FormationPresets.getAll();
-        const currentFormation = game.settings.get(MODULE_ID, 'defaultFormation');
+        const currentFormation = (isPartyActive && partyToken.document.getFlag(MODULE_ID, 'formation'))
+            || game.settings.get(MODULE_ID, 'defaultFormation');
 
         // Статистика группы (если активна)
         let groupStats = null;
@@ -117,23 +125,85 @@ export class PartyPanelApp extends FormApplication {
             groupStats = this._calculateGroupStats(members);
         }
 
+        // Режим «за ведущим» у выделенных токенов
+        const followLeader = selectedTokens.map(t => FollowMode.findLeader(t)).find(Boolean) ?? null;
+
+        // Поместится ли шаблон (или расстановка по сетке) у токена группы
+        const formationMisfit = isPartyActive && members.length > 0
+            ? this._getFormationMisfit(partyToken)
+            : null;
+
+        // Группы на сцене (для выбора, если их несколько)
+        const parties = game.groupPovuxa.manager.getParties().map(p => ({
+            id: p.partyId,
+            name: p.name,
+            count: p.members.length,
+            selected: p.partyTokenId === partyToken?.id
+        }));
+
         return {
             ...data,
             isPartyActive,
+            parties,
+            hasParties: parties.length > 0,
+            partyName: parties.find(p => p.selected)?.name ?? '',
             members,
             gridCells, // Передаём сетку в шаблон
+            isHexGrid: GridGeometry.isHex(),
             formations,
             currentFormation,
             groupStats,
+            formationMisfit,
+            isFollowing: !!followLeader,
+            canFollow: !!followLeader || selectedTokens.length >= 2,
+            canGatherAround: selectedTokens.length === 1,
+            ...this._getRosterData(),
+            isGM: game.user.isGM,
             hasMembers: members.length > 0,
             roles: this._getRoles()
         };
     }
 
     /**
-     * Генерация ячеек сетки 5x5
+     * Сохранённые составы для выбора в панели
+     * @returns {{rosters: Object[], currentRoster: string|null, showRosters: boolean}}
+     */
+    _getRosterData() {
+        const rosters = PartyRosters.getAll().map(r => ({ id: r.id, name: r.name, count: r.members.length }));
+        if (!rosters.some(r => r.id === this._rosterId)) this._rosterId = null;
+
+        return {
+            rosters,
+            currentRoster: this._rosterId,
+            showRosters: game.user.isGM || rosters.length > 0
+        };
+    }
+
+    /**
+     * Оценить шаблон роспуска на текущем месте группы
+     * @param {Token} partyToken
+     * @returns {{details: string}|null} - null, если шаблон помещается или участники стоят по сетке
+     */
+    _getFormationMisfit(partyToken) {
+        const fit = game.groupPovuxa.manager.planDisperse(partyToken).fit;
+        if (!fit || fit.fits) return null;
+
+        const { displacement, brokenLinks, missing } = fit.score;
+        return {
+            details: game.i18n.format('GROUP_POVUXA.Formations.FitDetails', {
+                displacement: displacement.toFixed(1),
+                brokenLinks,
+                missing
+            })
+        };
+    }
+
+    /**
+     * Генерация ячеек сетки 5x5 (на гексагональных сценах — шестиугольник из 19 гексов)
      */
     _generateGridCells(members) {
+        if (GridGeometry.isHex()) return this._generateHexGridCells(members);
+
         const cells = [];
         // Генерируем 5x5 сетку (x: -2..2, y: -2..2)
         // y=-2 (Front), y=2 (Back)
@@ -154,15 +224,51 @@ export class PartyPanelApp extends FormApplication {
         return cells;
     }
 
+    /**
+     * Ячейки гексагональной сетки расстановки.
+     * Рисуем «колонками» (плоский верх), чтобы «вперёд» (0, -1) всегда смотрело вверх.
+     */
+    _generateHexGridCells(members) {
+        const radius = PartyPanelApp.HEX_CELL_RADIUS;
+        const height = Math.sqrt(3) * radius;
+
+        return GridGeometry.getArrangementCells().map(({ x, y }) => {
+            const member = members.find(m =>
+                m.gridPos && m.gridPos.x === x && m.gridPos.y === y
+            );
+
+            // Осевые координаты -> левый верхний угол гекса (плоский верх);
+            // центральный гекс — в точке (4R, 2.5H) поля 8R x 5H
+            const left = 1.5 * radius * x + 3 * radius;
+            const top = height * (y + x / 2) + 2 * height;
+
+            return {
+                x, y,
+                isCenter: x === 0 && y === 0,
+                member: member || null,
+                style: `left: ${left}px; top: ${top}px;`
+            };
+        });
+    }
+
     /**
      * Активация слушателей событий
      */
     activateListeners(html) {
         super.activateListeners(html);
 
+        // === ВЫБОР ГРУППЫ ===
+        html.find('.party-select').change(this._onPartySelect.bind(this));
+        html.find('.rename-party-btn').click(this._onRenameParty.bind(this));
+
         // === КНОПКИ ДЕЙСТВИЙ ===
         html.find('.gather-btn').click(this._onGather.bind(this));
+        html.find('.gather-around-btn').click(this._onGatherAround.bind(this));
+        html.find('.follow-btn').click(this._onToggleFollow.bind(this));
         html.find('.disperse-btn').click(this._onDisperse.bind(this));
+        html.find('.disperse-area-btn').click(this._onDisperseToArea.bind(this));
+        html.find('.deploy-btn').click(this._onDeploy.bind(this));
+        html.find('.move-scene-btn').click(this._onMoveToScene.bind(this));
         html.find('.scatter-btn').click(this._onScatter.bind(this));
 
         // D&D теперь обрабатывается через _onDragStart / _onDrop
@@ -177,6 +283,15 @@ export class PartyPanelApp extends FormApplication {
         html.find('.member-item').click(this._onMemberClick.bind(this)); // Click on list item
         html.find('.add-selected-btn').click(this._onAddSelected.bind(this));
 
+        // === Составы ===
+        html.find('.roster-select').change((e) => {
+            this._rosterId = e.currentTarget.value || null;
+            this.render();
+        });
+        html.find('.gather-roster-btn').click(this._onGatherRoster.bind(this));
+        html.find('.save-roster-btn').click(this._onSaveRoster.bind(this));
+        html.find('.delete-roster-btn').click(this._onDeleteRoster.bind(this));
+
         // === Шаблоны ===
         const saveBtn = html.find('.save-formation-btn');
         const deleteBtn = html.find('.delete-formation-btn');
@@ -358,7 +473,7 @@ export class PartyPanelApp extends FormApplication {
 
             // Удаляем дубликаты позиций (на всякий случай) - хотя логика Swap это предотвращает
             // Сохраняем
-            await partyToken.document.setFlag(MODULE_ID, 'members', members);
+            await game.groupPovuxa.manager.updateMembers(partyToken, members);
         }
     }
 
@@ -378,7 +493,7 @@ export class PartyPanelApp extends FormApplication {
 
         if (member && member.gridPos) {
             delete member.gridPos;
-            await partyToken.document.setFlag(MODULE_ID, 'members', members);
+            await game.groupPovuxa.manager.updateMembers(partyToken, members);
         }
     }
 
@@ -505,7 +620,7 @@ export class PartyPanelApp extends FormApplication {
 
             // Сортируем и сохраняем
             members.sort((a, b) => a.order - b.order);
-            await partyToken.document.setFlag(MODULE_ID, 'members', members);
+            await game.groupPovuxa.manager.updateMembers(partyToken, members);
         }
 
         this.render();
@@ -530,8 +645,12 @@ export class PartyPanelApp extends FormApplication {
             options.initialPositions = this._draftGrid;
         }
 
+        const name = this.element.find('.party-name-input').val()?.trim();
+        if (name) options.name = name;
+
         try {
             await game.groupPovuxa.manager.gatherParty(tokens, options);
+            this._partyId = undefined; // Возвращаемся к автоматическому выбору группы
             this._draftGrid = null; // Очищаем черновик после сбора
             await game.settings.set(MODULE_ID, 'lastDraft', []); // Очищаем настройки
         } catch (err) {
@@ -541,6 +660,39 @@ export class PartyPanelApp extends FormApplication {
         this.render();
     }
 
+    async _onGatherAround(event) {
+        event.preventDefault();
+        const [leader] = canvas.tokens.controlled;
+
+        const options = {};
+        const name = this.element.find('.party-name-input').val()?.trim();
+        if (name) options.name = name;
+
+        const partyToken = await game.groupPovuxa.manager.gatherAround(leader, options);
+        if (partyToken) {
+            this._partyId = undefined;
+            this._draftGrid = null;
+            await game.settings.set(MODULE_ID, 'lastDraft', []);
+        }
+        this.render();
+    }
+
+    async _onToggleFollow(event) {
+        event.preventDefault();
+        const tokens = canvas.tokens.controlled;
+
+        const leader = tokens.map(t => FollowMode.findLeader(t)).find(Boolean);
+        if (leader) {
+            await FollowMode.stop(leader);
+        } else {
+            // Ведущий — выбранный в сетке на (0,0), иначе первый выделенный
+            const leaderId = this._draftGrid?.find(d => d.gridPos?.x === 0 && d.gridPos?.y === 0)?.tokenId;
+            const ordered = [...tokens].sort((a, b) => (b.id === leaderId) - (a.id === leaderId));
+            await FollowMode.start(ordered, { initialPositions: this._draftGrid ?? undefined });
+        }
+        this.render();
+    }
+
     async _onDisperse(event) {
         event.preventDefault();
         const partyToken = this._findPartyToken();
@@ -552,6 +704,41 @@ export class PartyPanelApp extends FormApplication {
         this.render();
     }
 
+    async _onDisperseToArea(event) {
+        event.preventDefault();
+        const partyToken = this._findPartyToken();
+        if (!partyToken) {
+            ui.notifications.warn(game.i18n.localize('GROUP_POVUXA.Notifications.NoPartyToken'));
+            return;
+        }
+
+        // Область — выделенный рисунок, шаблон или регион
+        const area = canvas.drawings?.controlled[0]
+            ?? canvas.templates?.controlled[0]
+            ?? canvas.regions?.controlled[0];
+        if (!area) {
+            ui.notifications.warn(game.i18n.localize('GROUP_POVUXA.Notifications.SelectArea'));
+            return;
+        }
+
+        await game.groupPovuxa.manager.disperseParty(partyToken, { area });
+        this.render();
+    }
+
+    async _onDeploy(event) {
+        event.preventDefault();
+        const partyToken = this._findPartyToken();
+        if (!partyToken) {
+            ui.notifications.warn(game.i18n.localize('GROUP_POVUXA.Notifications.NoPartyToken'));
+            return;
+        }
+        // Панель не должна закрывать канвас, пока ГМ расставляет призраков
+        this.minimize();
+        const deployed = await new DeployPreview(partyToken).start();
+        this.maximize();
+        if (deployed) this.render();
+    }
+
     async _onSaveFormation(event) {
         event.preventDefault();
 
@@ -604,6 +791,127 @@ export class PartyPanelApp extends FormApplication {
         this.render();
     }
 
+    async _onGatherRoster(event) {
+        event.preventDefault();
+        if (!this._rosterId) return;
+
+        const options = {};
+        const name = this.element.find('.party-name-input').val()?.trim();
+        if (name) options.name = name;
+
+        const partyToken = await PartyRosters.gather(this._rosterId, options);
+        if (partyToken) {
+            this._partyId = undefined;
+            this._draftGrid = null;
+            await game.settings.set(MODULE_ID, 'lastDraft', []);
+        }
+        this.render();
+    }
+
+    async _onSaveRoster(event) {
+        event.preventDefault();
+
+        // Состав — участники активной группы или выбранные токены с черновиком сетки
+        const partyToken = this._findPartyToken();
+        const members = partyToken
+            ? partyToken.document.getFlag(MODULE_ID, 'members') || []
+            : canvas.tokens.controlled.map((token, index) => ({
+                actorId: token.actor?.id,
+                name: token.name,
+                role: index === 0 ? 'leader' : 'member',
+                gridPos: this._draftGrid?.find(d => d.tokenId === token.id)?.gridPos ?? null
+            }));
+        if (members.length === 0) {
+            ui.notifications.warn(game.i18n.localize('GROUP_POVUXA.Notifications.NoTokensSelected'));
+            return;
+        }
+
+        // Выбранный состав можно перезаписать под тем же названием
+        const current = this._rosterId ? PartyRosters.get(this._rosterId) : null;
+        const defaultName = current?.name ?? partyToken?.document.getFlag(MODULE_ID, 'partyName') ?? '';
+
+        const name = await foundry.applications.api.DialogV2.prompt({
+            window: { title: game.i18n.localize('GROUP_POVUXA.Rosters.Save') },
+            content: `<form><div class="form-group"><label>${game.i18n.localize('GROUP_POVUXA.Rosters.NameLabel')}</label><input type="text" name="name" value="${Handlebars.escapeExpression(defaultName)}" autofocus/></div></form>`,
+            ok: {
+                callback: (event, button, dialog) => button.form.elements.name.value
+            },
+            rejectClose: false
+        });
+        if (!name?.trim()) return;
+
+        const id = await PartyRosters.save(name, members, {
+            id: current?.name === name.trim() ? current.id : undefined,
+            formation: partyToken?.document.getFlag(MODULE_ID, 'formation') ?? game.settings.get(MODULE_ID, 'defaultFormation')
+        });
+        if (id) {
+            this._rosterId = id;
+            this.render();
+        }
+    }
+
+    async _onDeleteRoster(event) {
+        event.preventDefault();
+        const roster = this._rosterId ? PartyRosters.get(this._rosterId) : null;
+        if (!roster) return;
+
+        const confirmed = await foundry.applications.api.DialogV2.confirm({
+            window: { title: game.i18n.localize('GROUP_POVUXA.Rosters.Delete') },
+            content: `<p>${game.i18n.format('GROUP_POVUXA.Rosters.DeleteConfirm', { name: Handlebars.escapeExpression(roster.name) })}</p>`,
+            rejectClose: false,
+            modal: true
+        });
+        if (!confirmed) return;
+
+        await PartyRosters.delete(roster.id);
+        this._rosterId = null;
+        this.render();
+    }
+
+    async _onMoveToScene(event) {
+        event.preventDefault();
+        const partyToken = this._findPartyToken();
+        if (!partyToken) return;
+
+        const scenes = game.scenes.filter(s => s !== canvas.scene && s.testUserPermission(game.user, 'LIMITED'))
+            .sort((a, b) => a.name.localeCompare(b.name, game.i18n.lang));
+        if (scenes.length === 0) {
+            ui.notifications.warn(game.i18n.localize('GROUP_POVUXA.Notifications.SceneNotFound'));
+            return;
+        }
+
+        const options = scenes.map(s => `<option value="${s.id}">${Handlebars.escapeExpression(s.name)}</option>`).join('');
+        const disperse = game.settings.get(MODULE_ID, 'disperseOnArrival');
+        const viewField = game.user.isGM
+            ? `<div class="form-group"><label>${game.i18n.localize('GROUP_POVUXA.MoveToScene.View')}</label><input type="checkbox" name="view" checked/></div>`
+            : '';
+
+        const choice = await foundry.applications.api.DialogV2.prompt({
+            window: { title: game.i18n.localize('GROUP_POVUXA.Actions.MoveToScene') },
+            content: `<form>
+                <div class="form-group"><label>${game.i18n.localize('GROUP_POVUXA.MoveToScene.Scene')}</label><select name="sceneId">${options}</select></div>
+                <div class="form-group"><label>${game.i18n.localize('GROUP_POVUXA.MoveToScene.Disperse')}</label><input type="checkbox" name="disperse" ${disperse ? 'checked' : ''}/></div>
+                ${viewField}
+            </form>`,
+            ok: {
+                callback: (event, button, dialog) => ({
+                    sceneId: button.form.elements.sceneId.value,
+                    disperse: button.form.elements.disperse.checked,
+                    view: button.form.elements.view?.checked ?? false
+                })
+            },
+            rejectClose: false
+        });
+        if (!choice) return;
+
+        await game.groupPovuxa.manager.moveToScene(partyToken, choice.sceneId, {
+            disperse: choice.disperse,
+            view: choice.view
+        });
+        this._partyId = undefined;
+        this.render();
+    }
+
     async _onScatter(event) {
         event.preventDefault();
         const partyToken = this._findPartyToken();
@@ -625,7 +933,7 @@ export class PartyPanelApp extends FormApplication {
         const member = members.find(m => m.tokenId === tokenId);
         if (member) {
             member.role = newRole;
-            await partyToken.document.setFlag(MODULE_ID, 'members', members);
+            await game.groupPovuxa.manager.updateMembers(partyToken, members);
         }
 
         this.render();
@@ -633,7 +941,10 @@ export class PartyPanelApp extends FormApplication {
 
     async _onFormationChange(event) {
         const formationId = event.currentTarget.value;
-        await game.settings.set(MODULE_ID, 'defaultFormation', formationId);
+        // Настройка мира — её может менять только ГМ
+        if (game.user.isGM) {
+            await game.settings.set(MODULE_ID, 'defaultFormation', formationId);
+        }
 
         // Применяем шаблон немедленно
         const partyToken = this._findPartyToken();
@@ -644,9 +955,8 @@ export class PartyPanelApp extends FormApplication {
             if (members.length > 0) {
                 // Применяем расстановку
                 members = FormationPresets.applyToMembers(members, formationId);
-                // Сохраняем
-                await partyToken.document.setFlag(MODULE_ID, 'members', members);
-                await partyToken.document.setFlag(MODULE_ID, 'formation', formationId);
+                // Сохраняем (у игроков — через ГМа)
+                await game.groupPovuxa.manager.updateMembers(partyToken, members, { formation: formationId });
             }
         } else {
             // == ЧЕРНОВИК (DRAFT) ==
@@ -666,7 +976,7 @@ export class PartyPanelApp extends FormApplication {
         event.stopPropagation();
 
         const tokenId = event.currentTarget.dataset.tokenId;
-        await game.groupPovuxa.manager.removeMember(tokenId);
+        await game.groupPovuxa.manager.removeMember(tokenId, this._findPartyToken());
         this.render();
     }
 
@@ -685,17 +995,47 @@ export class PartyPanelApp extends FormApplication {
     async _onAddSelected(event) {
         event.preventDefault();
         const tokens = canvas.tokens.controlled;
+        const partyToken = this._findPartyToken();
 
         for (const token of tokens) {
             // Проверяем, что это не токен группы
             if (!token.document.getFlag(MODULE_ID, 'isPartyToken')) {
-                await game.groupPovuxa.manager.addMember(token);
+                await game.groupPovuxa.manager.addMember(token, partyToken);
             }
         }
 
         this.render();
     }
 
+    /**
+     * Выбор группы в выпадающем списке ('' — новая группа из выбранных токенов)
+     */
+    _onPartySelect(event) {
+        this._partyId = event.currentTarget.value;
+        this.render();
+    }
+
+    async _onRenameParty(event) {
+        event.preventDefault();
+        const partyToken = this._findPartyToken();
+        if (!partyToken) return;
+
+        const partyData = game.groupPovuxa.manager.getParties().find(p => p.partyTokenId === partyToken.id);
+        const current = Handlebars.escapeExpression(partyData?.name ?? partyToken.name);
+        const name = await foundry.applications.api.DialogV2.prompt({
+            window: { title: game.i18n.localize('GROUP_POVUXA.Party.Rename') },
+            content: `<form><div class="form-group"><label>${game.i18n.localize('GROUP_POVUXA.Party.NameLabel')}</label><input type="text" name="name" value="${current}" autofocus/></div></form>`,
+            ok: {
+                callback: (event, button, dialog) => button.form.elements.name.value
+            },
+            rejectClose: false
+        });
+
+        if (!name) return;
+        await game.groupPovuxa.manager.renameParty(partyToken, name);
+        this.render();
+    }
+
     // ==========================================
     // ВСПОМОГАТЕЛЬНЫЕ МЕТОДЫ
     // ==========================================
@@ -707,11 +1047,19 @@ export class PartyPanelApp extends FormApplication {
         );
         if (selectedPartyToken) return selectedPartyToken;
 
-        // 2. Если ничего не выбрано, ищем ПЕРВЫЙ попавшийся на сцене (fallback)
+        // 2. В списке выбрана «Новая группа» — режим черновика
+        if (this._partyId === '') return null;
+
+        // 3. Группа, выбранная в списке панели
+        const manager = game.groupPovuxa.manager;
+        if (this._partyId) {
+            const chosen = manager.resolvePartyToken(this._partyId);
+            if (chosen) return chosen;
+        }
+
+        // 4. Иначе — ПЕРВАЯ попавшаяся на сцене (fallback)
         // TODO: Можно добавить проверку ownership, чтобы не брать чужие группы
-        return canvas.tokens.placeables.find(t =>
-            t.document.getFlag(MODULE_ID, 'isPartyToken')
-        );
+        return manager.resolvePartyToken();
     }
 
     _getRoles() {
@@ -0,0 +1,180 @@
+import assert from "node:assert/strict";
+import path from "node:path";
+import process from "node:process";
+import { pathToFileURL } from "node:url";
+import { ROOT_DIR, isDirectRun } from "./lib/project.mjs";
+
+// Disperse planning on a stubbed square-grid canvas: no Foundry needed,
+// only the canvas, settings and wall APIs PartyManager.planDisperse touches.
+
+const GRID = 100;
+const SCENE = 2000;
+
+const SETTINGS = {
+  defaultFormation: "line",
+  corridorFormation: "snake",
+  scoutDistance: 4,
+  rearguardDistance: 3,
+  snapFacing: true,
+  trailLength: 12
+};
+
+function segmentsCross(a, b, c, d) {
+  const cross = (p, q, r) => (q.x - p.x) * (r.y - p.y) - (q.y - p.y) * (r.x - p.x);
+  const d1 = cross(c, d, a);
+  const d2 = cross(c, d, b);
+  const d3 = cross(a, b, c);
+  const d4 = cross(a, b, d);
+  return ((d1 > 0 && d2 < 0) || (d1 < 0 && d2 > 0)) && ((d3 > 0 && d4 < 0) || (d3 < 0 && d4 > 0));
+}
+
+function installFoundryStubs() {
+  class Stub {}
+
+  globalThis.Hooks = { on() {}, once() {} };
+  globalThis.FormApplication = Stub;
+  globalThis.CONST = { REGION_EVENTS: {}, GRID_SNAPPING_MODES: {}, DRAWING_TYPES: {}, TOKEN_DISPOSITIONS: {} };
+  globalThis.foundry = {
+    data: {
+      regionBehaviors: { RegionBehaviorType: Stub },
+      fields: { AngleField: Stub, NumberField: Stub, StringField: Stub }
+    },
+    canvas: {
+      geometry: {
+        Ray: class {
+          constructor(A, B) {
+            this.A = A;
+            this.B = B;
+          }
+        }
+      }
+    }
+  };
+
+  Math.toRadians = (degrees) => degrees * Math.PI / 180;
+  Math.toDegrees = (radians) => radians * 180 / Math.PI;
+  Math.normalizeDegrees = (degrees) => ((degrees % 360) + 360) % 360;
+
+  globalThis.game = {
+    settings: { get: (module, key) => SETTINGS[key] },
+    i18n: { localize: (key) => key, format: (key) => key }
+  };
+}
+
+function setScene(walls) {
+  const cell = (x) => Math.floor(x / GRID);
+  globalThis.canvas = {
+    scene: {},
+    dimensions: { sceneX: 0, sceneY: 0, sceneWidth: SCENE, sceneHeight: SCENE },
+    tokens: { placeables: [] },
+    grid: {
+      size: GRID,
+      sizeX: GRID,
+      sizeY: GRID,
+      isGridless: false,
+      isHexagonal: false,
+      getOffset: ({ x, y }) => ({ i: cell(y), j: cell(x) }),
+      getCenterPoint: (p) => ("i" in p)
+        ? { x: p.j * GRID + GRID / 2, y: p.i * GRID + GRID / 2 }
+        : { x: cell(p.x) * GRID + GRID / 2, y: cell(p.y) * GRID + GRID / 2 },
+      getTopLeftPoint: ({ x, y }) => ({ x: cell(x) * GRID, y: cell(y) * GRID }),
+      getSnappedPoint: ({ x, y }) => ({ x: cell(x) * GRID + GRID / 2, y: cell(y) * GRID + GRID / 2 }),
+      getOffsetRange: ({ x, y, width, height }) => [
+        cell(y), cell(x), Math.ceil((y + height) / GRID), Math.ceil((x + width) / GRID)
+      ]
+    }
+  };
+  globalThis.CONFIG = {
+    Canvas: {
+      polygonBackends: {
+        move: { testCollision: (A, B) => walls.some(([c, d]) => segmentsCross(A, B, c, d)) }
+      }
+    }
+  };
+}
+
+function makePartyToken(cellX, cellY, flags = {}) {
+  const x = cellX * GRID;
+  const y = cellY * GRID;
+  return {
+    id: "party",
+    x,
+    y,
+    w: GRID,
+    h: GRID,
+    document: { x, y, rotation: 0, getFlag: (module, key) => flags[key] }
+  };
+}
+
+function makeMembers(gridPositions) {
+  return gridPositions.map((gridPos, index) => ({
+    tokenId: `member${index}`,
+    name: `Member ${index}`,
+    order: index,
+    role: index === 0 ? "leader" : "member",
+    width: 1,
+    height: 1,
+    gridPos
+  }));
+}
+
+// gridPos of a party gathered from the canvas: leader in front, the rest in a diamond behind
+const GATHERED = [{ x: 0, y: 0 }, { x: -1, y: 1 }, { x: 1, y: 1 }, { x: 0, y: 2 }];
+
+export async function runDisperseChecks() {
+  installFoundryStubs();
+  const { PartyManager } = await import(pathToFileURL(path.join(ROOT_DIR, "scripts", "party-manager.js")).href);
+  const manager = new PartyManager();
+
+  // Open field: the gathered arrangement keeps its shape
+  setScene([]);
+  const open = manager.planDisperse(makePartyToken(10, 10, { members: makeMembers(GATHERED) }));
+  assert.ok(open.fit, "open field: fit info is reported for a gathered party");
+  assert.equal(open.fit.fits, true, "open field: the arrangement fits");
+  assert.deepEqual({ x: open.positions[0].x, y: open.positions[0].y }, { x: 1000, y: 1000 }, "open field: the leader stays on the party token");
+  open.positions.forEach((position, index) => {
+    assert.deepEqual(
+      { x: position.x - open.positions[0].x, y: position.y - open.positions[0].y },
+      { x: GATHERED[index].x * GRID, y: GATHERED[index].y * GRID },
+      `open field: member ${index} keeps its arrangement slot`
+    );
+  });
+
+  // An explicit formation (region, combat) replaces the stored arrangement
+  const line = manager.planDisperse(makePartyToken(10, 10, { members: makeMembers(GATHERED) }), { formation: "line" });
+  assert.equal(line.fit.formation, "line", "override: the requested formation is used");
+  line.positions.forEach((position, index) => {
+    assert.equal(position.y, 1000, `override: member ${index} stands in the line`);
+  });
+
+  // One-cell corridor running north: walls on both sides of column 10
+  setScene([
+    [{ x: 1000, y: 0 }, { x: 1000, y: SCENE }],
+    [{ x: 1100, y: 0 }, { x: 1100, y: SCENE }]
+  ]);
+  const corridor = manager.planDisperse(makePartyToken(10, 10, { members: makeMembers(GATHERED) }));
+  assert.equal(corridor.fit.formation, SETTINGS.corridorFormation, "corridor: a gathered party switches to the corridor formation");
+  assert.equal(corridor.fit.freeWidth, 1, "corridor: free width is one cell");
+  corridor.positions.forEach((position, index) => {
+    assert.ok(position, `corridor: member ${index} has a spot`);
+    assert.equal(position.x, 1000, `corridor: member ${index} stands inside the corridor`);
+  });
+
+  // Snake party that came in from the east: members unfold back along the trail, not straight south
+  setScene([]);
+  const trail = [{ x: 1350, y: 1050 }, { x: 1250, y: 1050 }, { x: 1150, y: 1050 }];
+  const snake = manager.planDisperse(makePartyToken(10, 10, { members: makeMembers(GATHERED), formation: "snake", trail }));
+  assert.equal(snake.fit.trail, true, "snake: a gathered party unfolds along its trail");
+  snake.positions.forEach((position, index) => {
+    assert.deepEqual(position, { x: 1000 + index * GRID, y: 1000 }, `snake: member ${index} stands on the trail`);
+  });
+
+  console.log("Disperse planning OK");
+}
+
+if (isDirectRun(import.meta.url)) {
+  runDisperseChecks().catch((error) => {
+    console.error(error.message);
+    process.exitCode = 1;
+  });
+}
@@ -35,4 +35,9 @@ if ($LASTEXITCODE -ne 0) {
     throw "JavaScript syntax checks failed."
 }
 
+& node (Join-Path $root "tools\check-disperse.mjs")
+if ($LASTEXITCODE -ne 0) {
+    throw "Disperse planning checks failed."
+}
+
 Write-Output "All CI checks passed."